@@ -36,6 +36,13 @@ class CommandContext {
     return null;
   }
 
+  // Return the current time, against which relative dates and times, e.g.
+  // "tomorrow", are interpreted.  Override this to fix the clock, e.g. in
+  // tests.
+  now() {
+    return new Date();
+  }
+
   parseDefaults(commandName, parameterName, presentationType) {
     return presentationType.parse;
   }
@@ -72,6 +79,73 @@ class Failure {
   replaceAnnotations(annotations) {
     return new Failure(annotations, this.completions, this.end, this.pause);
   }
+
+  // Return descriptions of what was expected where this failure ended, based
+  // on the annotations of the parsers that failed there: help text added by
+  // <help> or taken from presentation types, parameter names, and command
+  // names.  Each description is an object with a <description> property,
+  // e.g. "an integer", and, for a parameter value, a <name> property naming the
+  // parameter.
+  expectations() {
+    let failed = this.annotations.filter(
+      a => a.end == this.end && ! ("witness" in a.label));
+    let helpTexts = new Map(
+      failed.filter(a => a.label.tag === "help")
+        .map(a => [a.start, a.label.helpText]));
+    let accumulator = [];
+    let keys = new Set();
+
+    function add(description, name=null) {
+      let key = JSON.stringify([description, name]);
+
+      if (! keys.has(key)) {
+        keys.add(key);
+        accumulator.push({ description: description, name: name });
+      }
+    }
+
+    for (let a of failed) {
+      let label = a.label;
+
+      switch (label.tag) {
+      case "command-name":
+        add("a command name");
+        break;
+      case "help":
+        if (! failed.some(b => b.label.tag === "parameter-value"
+                          && b.start == a.start)) {
+          add(label.helpText);
+        }
+        break;
+      case "flag":
+      case "parameter-name":
+        add("\"" + label.name + "\"");
+        break;
+      case "parameter-value":
+        add(helpTexts.get(a.start) || label.type.help || "a value",
+            label.name);
+        break;
+      }
+    }
+    return accumulator;
+  }
+
+  // Return a human-readable message explaining what was expected where this
+  // failure ended, e.g. "expected an integer for amount at column 18".  Count
+  // columns from <offset> characters before the input's start, e.g. where the
+  // input is part of a larger text.
+  message(offset=0) {
+    let descriptions = this.expectations().map(
+      e => e.name ? e.description + " for " + e.name : e.description);
+    let expected = descriptions.length > 0
+        ? descriptions
+        : this.completions.map(c => "\"" + c + "\"");
+    let column = " at column " + (offset + this.end + 1);
+
+    return expected.length == 0
+      ? "unexpected input" + column
+      : "expected " + expected.join(" or ") + column;
+  }
 }
 
 function logAnnotations(annotations) {
@@ -111,6 +185,24 @@ function furthestSuccess(successes) {
   return Math.max(...successes.map(s => s.end));
 }
 
+// The furthest position in the input on which the results of the parsers run
+// since <parseMemoized> last reset it depend, not counting the ends of the
+// <Success>es and <Failure>s they returned.
+let furthestExamined = -1;
+
+// Record that a parser's result depended on the input up to <end>, even though
+// that isn't reflected in the result, e.g. because a <Success> was dropped.
+// Combinators that drop results must call this so that <parseMemoized> knows
+// when those results must be recomputed.
+function noteExamined(end) {
+  furthestExamined = Math.max(furthestExamined, end);
+}
+
+// True if the parsers run since <parseMemoized> last reset it read the clock,
+// e.g. through <parseRelativeToNow>.  Their results depend on when they ran, so
+// <parseMemoized> must not reuse them.
+let readClock = false;
+
 function parseCheckInvariants(parser) {
   return function(input, success) {
     let [successes, failure] = parser(input, success);
@@ -185,25 +277,70 @@ function stringMatchForward(string1, string2) {
                                string2, 0, string2.length);
 }
 
-// Return a parser for string <constant>.
-function parseConstant(constant, witness=constant) {
+// Like <substringMatchForward>, but ignore case.
+function substringMatchForwardIgnoringCase(string1, start1, end1,
+                                           string2, start2, end2) {
+  let stop1 = start1 + Math.min(end1 - start1, end2 - start2);
+
+  for (var i = start1, j = start2;
+       i < stop1 && string1[i].toLowerCase() == string2[j].toLowerCase();
+       i++, j++) {
+  }
+  return i - start1;
+}
+
+// True while running a parser inside <parseIgnoringCase>.
+let ignoringCase = false;
+
+// Return a parser equivalent to <parser>, but in which every <parseConstant>
+// that wasn't told otherwise ignores case if <ignoreCase> is true, or respects
+// it if <ignoreCase> is false.
+function parseIgnoringCase(parser, ignoreCase=true) {
+  return function(input, success) {
+    let outer = ignoringCase;
+
+    ignoringCase = ignoreCase;
+    try {
+      return parser(input, success);
+    } finally {
+      ignoringCase = outer;
+    }
+  };
+}
+
+// Return a parser for string <constant>.  If <ignoreCase> is true, or if it is
+// null and the parser is run inside <parseIgnoringCase>, accept <constant> in
+// any mix of upper and lower case.  Annotate any input whose case differs from
+// <constant>'s with a "canonical" label giving the text in the case of
+// <constant>, with a score better than any from <fuzzyMatchScore>, so that the
+// input can be rewritten that way.
+function parseConstant(constant, witness=constant, { ignoreCase=null } = {}) {
   let size = constant.length;
 
   return function(input, success) {
     let start = success.end;
     let comparisonSize = Math.min(size, input.length - start);
-    let matchSize = substringMatchForward(
+    let matchForward = (ignoreCase === null ? ignoringCase : ignoreCase)
+        ? substringMatchForwardIgnoringCase
+        : substringMatchForward;
+    let matchSize = matchForward(
       input, start, start + comparisonSize, constant, 0, comparisonSize);
+    let canonical = constant.slice(0, matchSize);
+    let annotations = input.slice(start, start + matchSize) == canonical
+        ? []
+        : [new Annotation({ tag: "canonical", score: 5, text: canonical },
+                          start,
+                          start + matchSize)];
 
     return matchSize == size
-      ? [[new Success(success.annotations,
+      ? [[new Success([...annotations, ...success.annotations],
                       success.context,
                       start + size,
                       witness)],
          null]
       : [[],
          new Failure(
-           [],
+           annotations,
            [constant.slice(matchSize)],
            start + matchSize,
            false)];
@@ -275,6 +412,9 @@ function parseWithFallback(parser, fallbackParser) {
     let successes = [...s1, ...s2];
     let furthest = furthestSuccess(successes);
 
+    if (f2) {
+      noteExamined(f2.end);
+    }
     return [successes,
             f1 && f1.end >= furthest && f1];
   };
@@ -403,6 +543,7 @@ function parseFilter(parser) {
     let [successes, failure] = parser(input, success);
     let [positives, negatives] = categorize(successes, s => s.witness);
 
+    noteExamined(furthestSuccess(negatives));
     if (positives.length == 0 && ! failure) {
       return [[], new Failure([], [], success.end, false)];
     }
@@ -444,15 +585,11 @@ function parseSeparated(mergeWitnesses, parseElement, parseSeparator) {
     mergeWitnesses);
 }
 
-// Read until the end of <regexp> is found.  For now, <regexp> must be a regular
+// Read until the end of <regexp> is found.  <regexp> must be a regular
 // expression that matches all non-empty prefixes of its input.  That way, it
 // will match as the user types each character.  Construct the witness by
-// passing the input string and registers to <makeWitness>.
-
-// <> Produce completions.  <> Eliminate the restriction mentioned above.  This
-// will require detecting when the input so far is a potential match of the
-// regular expression so that <end> can be moved to the end of the input as the
-// user types.
+// passing the input string and registers to <makeWitness>.  See <parseRegexp>
+// for a parser without this restriction, and which produces completions.
 function parseRestrictedRegexp(makeWitness, regexp) {
   return function(input, success) {
     let start = success.end;
@@ -469,6 +606,286 @@ function parseRestrictedRegexp(makeWitness, regexp) {
   };
 }
 
+// Regular expression source that matches only at the end of the input,
+// regardless of the "m" flag.
+const REGEXP_END = "(?![\\s\\S])";
+
+const REGEXP_ESCAPE = new RegExp(
+  "\\\\(?:u\\{[0-9a-fA-F]+\\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]"
+    + "|[pP]\\{[^}]*\\}|[\\s\\S])",
+  "y");
+
+const REGEXP_QUANTIFIER = /(?:([*+?])|\{([0-9]+)(?:(,)([0-9]*))?\})\??/y;
+
+// Given <source>, the source of a regular expression, return an array of two
+// strings.  The first is equivalent to <source>, but with all groups made
+// non-capturing.  The second is the source of a regular expression that matches
+// every prefix of every string that <source> matches, as long as that prefix is
+// followed by the end of the input.  Throw an error on syntax that can't be
+// supported this way, i.e. lookaround assertions and backreferences.
+function regexpPrefixSource(source) {
+  let i = 0;
+
+  function unsupported() {
+    throw new Error("Unsupported regular expression syntax at offset "
+                    + i + ": " + source);
+  }
+
+  function sticky(regexp) {
+    regexp.lastIndex = i;
+
+    let match = regexp.exec(source);
+
+    if (match) {
+      i += match[0].length;
+    }
+    return match;
+  }
+
+  function atom(text) {
+    return [text, "(?:" + text + "|" + REGEXP_END + ")"];
+  }
+
+  function escape() {
+    let match = sticky(REGEXP_ESCAPE);
+
+    if (! match || /^\\([1-9]|k<)/.test(match[0])) {
+      unsupported();
+    }
+    return match[0];
+  }
+
+  function characterClass() {
+    let start = i++;
+
+    while (i < source.length && source[i] != "]") {
+      i += source[i] == "\\" ? 2 : 1;
+    }
+    if (i >= source.length) {
+      unsupported();
+    }
+    i++;
+    return source.slice(start, i);
+  }
+
+  function group() {
+    i++;
+    if (source.startsWith("?:", i)) {
+      i += 2;
+    } else if (source.startsWith("?<", i) && ! /[=!]/.test(source[i + 2])) {
+      i = source.indexOf(">", i) + 1;
+    } else if (source[i] == "?") {
+      unsupported();
+    }
+
+    let [text, prefix] = alternatives();
+
+    if (source[i] != ")") {
+      unsupported();
+    }
+    i++;
+    return ["(?:" + text + ")", "(?:" + prefix + ")"];
+  }
+
+  function quantify([text, prefix]) {
+    let match = sticky(REGEXP_QUANTIFIER);
+
+    if (! match) {
+      return [text, prefix];
+    }
+
+    let [min, max] = match[1]
+        ? { "*": [0, Infinity], "+": [1, Infinity], "?": [0, 1] }[match[1]]
+        : [parseInt(match[2], 10),
+           ! match[3] ? parseInt(match[2], 10)
+           : match[4] ? parseInt(match[4], 10)
+           : Infinity];
+    let repeated = "(?:" + text + ")";
+
+    function range(low, high) {
+      return "{" + low + "," + (high == Infinity ? "" : high) + "}";
+    }
+
+    return [repeated + match[0],
+            max == 0
+            ? ""
+            : "(?:" + repeated + range(min, max)
+            + "|" + repeated + range(0, max - 1) + prefix + REGEXP_END + ")"];
+  }
+
+  function sequence() {
+    let prefixes = [];
+    let texts = [];
+
+    while (i < source.length && source[i] != "|" && source[i] != ")") {
+      let c = source[i];
+      let term;
+
+      if (c == "^" || c == "$") {
+        i++;
+        term = [c, c];
+      } else if (c == "(") {
+        term = quantify(group());
+      } else if (c == "[") {
+        term = quantify(atom(characterClass()));
+      } else if (c == "\\") {
+        term = quantify(atom(escape()));
+      } else {
+        i++;
+        term = quantify(atom(c));
+      }
+      texts.push(term[0]);
+      prefixes.push(term[1]);
+    }
+    return [texts.join(""), prefixes.join("")];
+  }
+
+  function alternatives() {
+    let terms = [sequence()];
+
+    while (source[i] == "|") {
+      i++;
+      terms.push(sequence());
+    }
+    return [terms.map(t => t[0]).join("|"), terms.map(t => t[1]).join("|")];
+  }
+
+  let result = alternatives();
+
+  if (i < source.length) {
+    unsupported();
+  }
+  return result;
+}
+
+// Characters that <parseRegexp> considers when producing completions.
+const REGEXP_COMPLETION_CHARACTERS =
+        iota(95, 32).map(c => String.fromCharCode(c));
+
+// Longest completion that <parseRegexp> will produce when only one character at
+// a time can extend the input.
+const REGEXP_COMPLETION_LIMIT = 64;
+
+// Read the longest match of <regexp> starting at the current position.  Unlike
+// <parseRestrictedRegexp>, <regexp> may be any regular expression without
+// lookaround assertions or backreferences.  If the rest of the input is a
+// prefix of a possible match, fail at the end of the input, so that the
+// <Failure> follows the user's typing.  Otherwise, fail at the end of the
+// longest prefix of the input that could still lead to a match.  Offer as
+// completions the printable characters that could come next, each extended by
+// any text that must follow it, but only if there are no more than
+// <maxCompletions> of them.  If there are more, pause instead.  Construct the
+// witness by passing the result of matching <regexp> to <makeWitness>.
+function parseRegexp(makeWitness, regexp, maxCompletions=10) {
+  let flags = regexp.flags.replace(/[gy]/g, "") + "y";
+  let [text, prefix] = regexpPrefixSource(regexp.source);
+  let matcher = new RegExp("(?:" + regexp.source + ")" + REGEXP_END, flags);
+  let completeMatcher = new RegExp("(?:" + text + ")" + REGEXP_END, flags);
+  let prefixMatcher = new RegExp("(?:" + prefix + ")" + REGEXP_END, flags);
+
+  function matchFromStart(matcher, string) {
+    matcher.lastIndex = 0;
+    return matcher.exec(string);
+  }
+
+  function isComplete(string) {
+    return matchFromStart(completeMatcher, string) != null;
+  }
+
+  function isPrefix(string) {
+    return matchFromStart(prefixMatcher, string) != null;
+  }
+
+  // Return the length of the longest prefix of <string> that is a prefix of a
+  // possible match.  Every prefix of such a prefix is one, too, so search.
+  function viableLength(string) {
+    let low = 0;
+    let high = string.length;
+
+    while (low < high) {
+      let middle = Math.ceil((low + high) / 2);
+
+      if (isPrefix(string.slice(0, middle))) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  // Return the longest prefix of <string> that <regexp> matches completely,
+  // as a match result, or null if there is none.  Every match is a prefix of
+  // a possible match, so only prefixes up to <viable> need be tried.
+  function longestMatch(string, viable) {
+    for (let length = viable; length >= 0; length--) {
+      let prefix = string.slice(0, length);
+
+      if (isComplete(prefix)) {
+        return matchFromStart(matcher, prefix);
+      }
+    }
+    return null;
+  }
+
+  // When case is ignored, offer only the lower case version of each letter.
+  function nextCharacters(string) {
+    let next = REGEXP_COMPLETION_CHARACTERS.filter(c => isPrefix(string + c));
+
+    return regexp.ignoreCase
+      ? next.filter(
+        c => c == c.toLowerCase() || ! next.includes(c.toLowerCase()))
+      : next;
+  }
+
+  function extension(string) {
+    let accumulator = "";
+
+    while (accumulator.length < REGEXP_COMPLETION_LIMIT
+           && ! isComplete(string + accumulator)) {
+      let next = nextCharacters(string + accumulator);
+
+      if (next.length != 1) {
+        break;
+      }
+      accumulator += next[0];
+    }
+    return accumulator;
+  }
+
+  // Return the completions of <string> and whether completion should pause.
+  function completions(string) {
+    let next = nextCharacters(string);
+
+    if (next.length == 0 || next.length > maxCompletions) {
+      return [[], true];
+    }
+    return [next.map(c => c + extension(string + c)), false];
+  }
+
+  return function(input, success) {
+    let start = success.end;
+    let rest = input.slice(start);
+    let viable = viableLength(rest);
+    let result = longestMatch(rest, viable);
+    let successes = result
+        ? [new Success(success.annotations,
+                       success.context,
+                       start + result[0].length,
+                       makeWitness(result))]
+        : [];
+    let [nextCompletions, pause] = completions(rest.slice(0, viable));
+
+    if (result
+        && result[0].length == viable
+        && nextCompletions.length == 0) {
+      return [successes, null];
+    }
+    return [successes,
+            new Failure([], nextCompletions, start + viable, pause)];
+  };
+}
+
 // Run <parser>, but fail if it fails or if it matches the empty string.
 function parseNonEmpty(parser) {
   return function (input, success) {
@@ -503,12 +920,6 @@ function parseOptional(parser, witness="missing") {
 
 // Parse values
 
-let parseDoubleQuote = parseConstant("\"", "double-quote");
-let parseEscapedBackslash = parseConstant("\\\\", "\\");
-let parseEscapedDoubleQuote = parseConstant("\\\"", "\"");
-let parseEscapeString = parseChoice(parseEscapedBackslash,
-                                    parseEscapedDoubleQuote);
-
 // Return the list of annotations of the given <Success>es, as determined by
 // <mergeAnnotations>.
 function mergeSuccessAnnotations(successes) {
@@ -559,18 +970,94 @@ function withoutCompletions(parser) {
   return parseWithCompletions((context, failure, start) => [], parser);
 }
 
-let parseString =
-      parseSequence(
-        (q1, s, q2) => s,
-        parseDoubleQuote,
-        parsePause(
-          withoutCompletions(
-            parseStar(
-              witnesses => witnesses.join(""),
-              parseChoice(
-                parseEscapeString,
-                parseRestrictedRegexp(result => result[0], /[^\"]+/))))),
-        withoutCompletions(parseDoubleQuote));
+// The characters that may follow a backslash in a string, each mapped to the
+// character it stands for.  A backslash may also be followed by "u" and four
+// hexadecimal digits, which stand for that UTF-16 code unit.
+const STRING_ESCAPES = new Map([
+  ["\"", "\""],
+  ["'", "'"],
+  ["\\", "\\"],
+  ["n", "\n"],
+  ["r", "\r"],
+  ["t", "\t"]
+]);
+
+const STRING_ESCAPE_HELP = "an escape sequence, i.e. \\\\, \\\", \\', \\n, "
+      + "\\r, \\t, or \\u followed by four hexadecimal digits";
+
+// Return a parser for strings surrounded by any one of the characters in
+// <quotes>, in which a backslash starts an escape sequence.  See
+// <STRING_ESCAPES>.  The witness is the string with the quotes removed and the
+// escape sequences replaced by the characters they stand for.  Until a string
+// is terminated, offer its closing quote as a completion, but pause, so that
+// the quote is never inserted automatically, e.g. when a space is typed.
+// Reject an invalid escape sequence where it goes wrong, with
+// <STRING_ESCAPE_HELP> as help.
+function parseQuotedString(quotes="\"") {
+  return function(input, success) {
+    let start = success.end;
+    let size = input.length;
+    let quote = input[start];
+
+    if (start == size || ! quotes.includes(quote)) {
+      return [[], new Failure([], quotes.split(""), start, false)];
+    }
+
+    function badEscape(escapeStart, end, completions) {
+      return [[],
+              new Failure(
+                [new Annotation({ tag: "help", helpText: STRING_ESCAPE_HELP },
+                                escapeStart,
+                                end)],
+                completions,
+                end,
+                end == size && completions.length == 0)];
+    }
+
+    let accumulator = [];
+    let i = start + 1;
+
+    while (i < size && input[i] != quote) {
+      if (input[i] != "\\") {
+        accumulator.push(input[i]);
+        i++;
+        continue;
+      }
+
+      let escapeStart = i;
+      let e = input[i + 1];
+
+      if (i + 1 == size) {
+        return badEscape(escapeStart, size, [...STRING_ESCAPES.keys(), "u"]);
+      } else if (STRING_ESCAPES.has(e)) {
+        accumulator.push(STRING_ESCAPES.get(e));
+        i += 2;
+      } else if (e == "u") {
+        let digits = input.slice(i + 2, i + 6);
+        let valid = digits.match(/^[0-9a-fA-F]*/)[0].length;
+
+        if (valid < 4) {
+          return badEscape(escapeStart, i + 2 + valid, []);
+        }
+        accumulator.push(String.fromCharCode(parseInt(digits, 16)));
+        i += 6;
+      } else {
+        return badEscape(escapeStart, i + 1, []);
+      }
+    }
+    if (i == size) {
+      return [[],
+              new Failure([], [quote], size, true)];
+    }
+    return [[new Success(success.annotations,
+                         success.context,
+                         i + 1,
+                         accumulator.join(""))],
+            null];
+  };
+}
+
+let parseString = parseQuotedString();
 
 // Parse a non-empty string of whitespace.
 let parseWhitespace = parseWithCompletions(
@@ -582,8 +1069,52 @@ let parseComma = parseWithCompletions(
   (context, failure, start) => failure && start == failure.end ? [","] : [],
   parseRestrictedRegexp(result => "comma", /\s*,\s*/));
 
+// Like <parseStar>, but elements must be separated by commas.  See
+// <parseList>.
 function parseCommaSeparated(parser) {
-  return parseSeparated(w => w, parser, parseComma);
+  return parseList(parser);
+}
+
+// Return a parser for lists of at least <min> and at most <max> elements that
+// <parseElement> accepts, each separated from the next by input that
+// <parseSeparator> accepts.  If <unique> is true, reject any element whose
+// witness is identical to that of an earlier one.  The witness is the array of
+// the elements' witnesses.
+function parseList(parseElement, { min=0,
+                                   max=Infinity,
+                                   unique=false,
+                                   parseSeparator=parseComma } = {}) {
+  function parseElements(previous) {
+    let parser = unique
+        ? parseMaybe(
+          parseTransform(parseElement,
+                         w => previous.includes(w) ? null : w))
+        : parseElement;
+
+    return parseChain((w1, w2) => [w1, ...w2],
+                      parser,
+                      success => parseRest([...previous, success.witness]));
+  }
+
+  function parseRest(previous) {
+    if (previous.length >= max) {
+      return parseEmpty([]);
+    }
+
+    let more = parseThen((s, w) => w,
+                         parseSeparator,
+                         parseElements(previous));
+
+    return previous.length < min
+      ? more
+      : parseAlternatives(parseEmpty([]), more);
+  }
+
+  return min == 0 && max > 0
+    ? parseAlternatives(parseEmpty([]), parseElements([]))
+    : max > 0
+    ? parseElements([])
+    : parseEmpty([]);
 }
 
 const DIGIT_LIST = ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"];
@@ -618,11 +1149,130 @@ function iota(n, offset=0) {
   return accumulator;
 }
 
-// <> Fix: This is wasteful for large ranges.
+// Return true iff some integer in [<min>, <max>] is written, without leading
+// zeros, as a string that starts with <prefix>.  Only a leading minus sign and
+// the digits 0-9 may appear in <prefix>.
+function isIntegerPrefixInRange(min, max, prefix) {
+  let negative = prefix.startsWith("-");
+  let digits = negative ? prefix.slice(1) : prefix;
+
+  if (! /^[0-9]*$/.test(digits)) {
+    return false;
+  }
+  if (digits == "") {
+    return negative ? min <= -1 && min <= max : min <= max;
+  }
+  if (digits.startsWith("0")) {
+    return digits == "0" && ! negative && min <= 0 && 0 <= max;
+  }
+
+  let value = parseInt(digits, 10);
+  let limit = Math.max(Math.abs(min), Math.abs(max));
+
+  for (let scale = 1; value * scale <= limit; scale *= 10) {
+    let low = value * scale;
+    let high = low + scale - 1;
+
+    if (negative ? -low >= min && -high <= max : high >= min && low <= max) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Return a parser for integers in the range [<min>, <max>].  Stop reading as
+// soon as no integer in the range could start with the input, and offer as
+// completions only the digits, and the minus sign, that could still lead to an
+// integer in the range.
+function parseIntegerBetween(min, max) {
+  function isPrefix(prefix) {
+    return isIntegerPrefixInRange(min, max, prefix);
+  }
+
+  return function(input, success) {
+    let start = success.end;
+    let prefix = "";
+
+    while (start + prefix.length < input.length
+           && /[-0-9]/.test(input[start + prefix.length])
+           && isPrefix(prefix + input[start + prefix.length])) {
+      prefix += input[start + prefix.length];
+    }
+
+    let end = start + prefix.length;
+    let value = /^-?[0-9]+$/.test(prefix) ? Number(prefix) : NaN;
+    let successes = isNaN(value) || value < min || value > max
+        ? []
+        : [new Success(success.annotations, success.context, end, value)];
+    let completions = [...(prefix == "" ? ["-"] : []), ...DIGIT_LIST]
+        .filter(c => isPrefix(prefix + c));
+
+    if (successes.length > 0 && completions.length == 0) {
+      return [successes, null];
+    }
+    return [successes, new Failure([], completions, end, false)];
+  };
+}
+
 // Return a parser for integers in the range [start, start + count).
 function parseIntegerInRange(count, start=0) {
-  return parseChoice(
-      ...iota(count, start).map(x => parseConstant(x.toString(), x)));
+  return parseIntegerBetween(start, start + count - 1);
+}
+
+// Return the source of a regular expression for decimal numbers, e.g. "-12",
+// "3.25", or ".5", with at most <precision> digits after the decimal point
+// unless it is null, and, if <scientific> is true, with an optional exponent,
+// e.g. "6.02e23".
+function numberRegexpSource(precision, scientific) {
+  let fraction = precision === null ? "*" : "{0," + precision + "}";
+  let digits = precision === 0
+      ? "[0-9]+"
+      : "(?:[0-9]+(?:\\.[0-9]" + fraction + ")?|\\.[0-9]"
+        + (precision === null ? "+" : "{1," + precision + "}") + ")";
+
+  return "[-+]?" + digits + (scientific ? "(?:[eE][-+]?[0-9]+)?" : "");
+}
+
+// Return a parser for decimal numbers in the range [<min>, <max>] with at most
+// <precision> digits after the decimal point, or any number of them if
+// <precision> is null.  If <scientific> is true, also accept scientific
+// notation, e.g. "6.02e23".  By default, it is accepted only when <precision>
+// is null.
+function parseNumber({ min=-Infinity,
+                       max=Infinity,
+                       precision=null,
+                       scientific=precision === null } = {}) {
+  return parseMaybe(
+    parseRegexp(
+      function(result) {
+        let value = parseFloat(result[0]);
+
+        return value >= min && value <= max ? value : null;
+      },
+      new RegExp(numberRegexpSource(precision, scientific))));
+}
+
+// Return a parser for a number followed immediately by one of the units in
+// <units>, e.g. "10kg" or "250ms", where <units> maps each unit to the factor
+// that converts a number in that unit to the canonical unit.  The witness is
+// the quantity in the canonical unit.  The options are those of <parseNumber>,
+// but <min> and <max> apply to the quantity in the canonical unit.  After the
+// number, offer the units as completions.
+function parseQuantity(units, { min=-Infinity,
+                                max=Infinity,
+                                precision=null,
+                                scientific=precision === null } = {}) {
+  return parseMaybe(
+    parseThen(
+      function(number, factor) {
+        let value = number * factor;
+
+        return value >= min && value <= max ? value : null;
+      },
+      withoutCompletions(
+        parseNumber({ precision: precision, scientific: scientific })),
+      parseChoice(
+        ...Object.keys(units).map(u => parseConstant(u, units[u])))));
 }
 
 function prefixElements(insert, elements) {
@@ -667,6 +1317,7 @@ function parseMaybe(parser) {
     let [successes, failure] = parser(input, success);
     let [nulls, nonNulls] = categorize(successes, s => s.witness == null);
 
+    noteExamined(furthestSuccess(nulls));
     if (nonNulls.length > 0) {
       return [nonNulls, failure];
     }
@@ -694,10 +1345,168 @@ function parseContext(makeContext, parser) {
   };
 }
 
+// Memo tables for <parseMemoized>.  Map each context to a map from each parser
+// to a map from each start position to the entry for the latest parse there.
+let parseMemos = new WeakMap();
+
+// Forget all results that <parseMemoized> has remembered for <context>.  Call
+// this whenever something other than the input on which parsers depend
+// changes, e.g. the state of <context> or the contents of the page.
+function forgetMemoizedParses(context) {
+  parseMemos.delete(context);
+}
+
+// Return a parser equivalent to <parser>, but that remembers its results for
+// each context and start position, packrat-style, and reuses them as long as
+// the part of the input they depended on and the annotations they were given
+// are unchanged.  Results depend on the input up to the character after the
+// furthest <Success> or <Failure> returned, or, if that is the end of the
+// input, on the whole input.  See <noteExamined>.  Remembered results survive
+// from one parse to the next, so re-parsing after a small edit is cheap.
+// Results that depend on the clock are never remembered.  See <readClock>.
+function parseMemoized(parser) {
+  // Return the memo table for <parser> and <context>, or null if <context>
+  // can't be used as a key.
+  function memoTable(context) {
+    if (! (context instanceof Object)) {
+      return null;
+    }
+    if (! parseMemos.has(context)) {
+      parseMemos.set(context, new WeakMap());
+    }
+
+    let parsers = parseMemos.get(context);
+
+    if (! parsers.has(parser)) {
+      parsers.set(parser, new Map());
+    }
+    return parsers.get(parser);
+  }
+
+  function isReusable(entry, input, success) {
+    let start = success.end;
+    let limit = entry.limit;
+
+    return (entry.sawEnd
+            ? input.length == entry.input.length
+            : input.length >= limit)
+      && substringMatchForward(input, start, limit, entry.input, start, limit)
+         == limit - start
+      && entry.ignoringCase == ignoringCase
+      && entry.annotations.length == success.annotations.length
+      && entry.annotations.every((a, i) => a.equals(success.annotations[i]));
+  }
+
+  // Return <entry>'s results, but with the annotations it was given replaced by
+  // the equivalent <annotations>.
+  function rebase(entry, annotations) {
+    if (entry.annotations === annotations) {
+      return [entry.successes, entry.failure];
+    }
+
+    let replacements =
+        new Map(entry.annotations.map((a, i) => [a, annotations[i]]));
+
+    function replace(as) {
+      return as.map(a => replacements.get(a) || a);
+    }
+
+    return [entry.successes.map(
+              s => new Success(replace(s.annotations),
+                               s.context,
+                               s.end,
+                               s.witness)),
+            entry.failure
+            && entry.failure.replaceAnnotations(
+              replace(entry.failure.annotations))];
+  }
+
+  return function(input, success) {
+    let start = success.end;
+    let memo = memoTable(success.context);
+    let entry = memo && memo.get(start);
+
+    if (entry && isReusable(entry, input, success)) {
+      let [successes, failure] = rebase(entry, success.annotations);
+
+      noteExamined(entry.extent);
+      memo.set(start, Object.assign({}, entry, {
+        annotations: success.annotations,
+        failure: failure,
+        successes: successes
+      }));
+      return [successes, failure];
+    }
+
+    let outer = furthestExamined;
+    let outerReadClock = readClock;
+    let examined;
+    let clock;
+    let results;
+
+    furthestExamined = -1;
+    readClock = false;
+    try {
+      results = parser(input, success);
+    } finally {
+      examined = furthestExamined;
+      clock = readClock;
+      furthestExamined = outer;
+      readClock = outerReadClock || clock;
+    }
+
+    let [successes, failure] = results;
+    let extent = Math.max(examined,
+                          furthestSuccess(successes),
+                          failure ? failure.end : -1);
+    let sawEnd = extent >= input.length;
+
+    furthestExamined = Math.max(outer, extent);
+    if (memo && clock) {
+      memo.delete(start);
+    } else if (memo) {
+      memo.set(start, { annotations: success.annotations,
+                        extent: extent,
+                        failure: failure,
+                        ignoringCase: ignoringCase,
+                        input: input,
+                        limit: sawEnd ? input.length : extent + 1,
+                        sawEnd: sawEnd,
+                        successes: successes });
+    }
+    return [successes, failure];
+  };
+}
+
+// Like <parseChoice>, but combine <parsers> in a balanced tree of memoized
+// alternatives.  After a small change to the input, only the alternatives whose
+// results depended on the changed part of the input, and the nodes of the tree
+// above them, are run again.  This is useful when there are many <parsers>,
+// e.g. one for each command in a large grammar.
+function parseMemoizedChoice(...parsers) {
+  if (parsers.length == 0) {
+    return parseFail;
+  }
+  if (parsers.length == 1) {
+    return parseMemoized(parsers[0]);
+  }
+
+  let middle = Math.ceil(parsers.length / 2);
+
+  return parseMemoized(
+    parseAlternatives(parseMemoizedChoice(...parsers.slice(0, middle)),
+                      parseMemoizedChoice(...parsers.slice(middle))));
+}
+
 // Presentation types
 
+// If the type accepts only a fixed set of texts, <constants> is an array of
+// them, so that e.g. <checkGrammar> can find keywords that could be mistaken
+// for values.  Otherwise, it is null.
 class PresentationType {
-  constructor(parse, help, showCandidates, showChoices, unparse) {
+  constructor(parse, help, showCandidates, showChoices, unparse,
+              constants=null) {
+    this.constants = constants;
     this.help = help;
     this.parse = parse;
     this.showCandidates = showCandidates;
@@ -706,74 +1515,665 @@ class PresentationType {
   }
 }
 
+// Return a presentation type.  If <ignoreCase> is true or false, parse with
+// <parseIgnoringCase>.  See <parseConstant>.
 function mpt(parse, help, { showCandidates=null, showChoices=null,
-                            unparse=String } = {}) {
-  return new PresentationType(parse, help, showCandidates, showChoices,
-                              unparse);
+                            unparse=String, ignoreCase=null,
+                            constants=null } = {}) {
+  return new PresentationType(
+    ignoreCase === null ? parse : parseIgnoringCase(parse, ignoreCase),
+    help,
+    showCandidates,
+    showChoices,
+    unparse,
+    constants);
 }
 
 const INTEGER_TYPE = mpt(parseInteger, "an integer");
 const NON_NEGATIVE_INTEGER_TYPE
         = mpt(parseNonNegativeInteger, "a non-negative integer");
 
-function unparseString(string) {
-  return "\"" + string.split("\"").join("\\\"") + "\"";
+// Return a presentation type for integers in the range [<min>, <max>].
+function makeIntegerRangeType(min, max) {
+  return mpt(parseIntegerBetween(min, max),
+             "an integer from " + min + " to " + max);
+}
+
+// Return help text that describes numbers in the range [<min>, <max>], as
+// written by <unparse>, with at most <precision> digits after the decimal
+// point, starting with <description>.
+function numberHelp(description, min, max, precision, unparse=String) {
+  let accumulator = [description];
+
+  if (min > -Infinity && max < Infinity) {
+    accumulator.push("from " + unparse(min) + " to " + unparse(max));
+  } else if (min > -Infinity) {
+    accumulator.push("of at least " + unparse(min));
+  } else if (max < Infinity) {
+    accumulator.push("of at most " + unparse(max));
+  }
+  if (precision !== null) {
+    accumulator.push("with at most " + precision
+                     + (precision == 1 ? " digit" : " digits")
+                     + " after the decimal point");
+  }
+  return accumulator.join(" ");
+}
+
+// Return a presentation type for decimal numbers.  See <parseNumber> for
+// <options>.
+function makeNumberType(options={}) {
+  let { min=-Infinity, max=Infinity, precision=null } = options;
+
+  return mpt(parseNumber(options),
+             numberHelp("a number", min, max, precision));
+}
+
+// Return a presentation type for quantities with <units>, e.g. "10kg", whose
+// witnesses are in the canonical unit, i.e. the one whose factor is one.  See
+// <parseQuantity> for <units> and <options>.  Unparse in the canonical unit, or
+// in the first of <units> if there is no canonical one, rounded to fifteen
+// significant digits to drop the error that converting units adds, so that
+// e.g. 0.07 is unparsed as "7%", not "7.000000000000001%".
+function makeQuantityType(units, options={}, description=null) {
+  let { min=-Infinity, max=Infinity, precision=null } = options;
+  let entries = Object.entries(units);
+  let [unit, factor] = entries.find(([u, f]) => f == 1) || entries[0];
+  let names = Object.keys(units);
+  let unparse =
+      value => String(Number((value / factor).toPrecision(15))) + unit;
+  let help = description
+      || "a number followed by " + (names.length == 1
+                                   ? names[0]
+                                   : names.slice(0, -1).join(", ")
+                                   + " or " + names[names.length - 1]);
+
+  return mpt(parseQuantity(units, options),
+             numberHelp(help, min, max, precision, unparse),
+             { unparse: unparse });
+}
+
+const NUMBER_TYPE = makeNumberType();
+
+// Percentages, e.g. "15%", whose witnesses are fractions, e.g. 0.15.
+const PERCENTAGE_TYPE = makeQuantityType({ "%": 0.01 }, {}, "a percentage");
+
+// Return text that <parseQuotedString> would parse as <string>, surrounded by
+// <quote>.  Escape backslashes, <quote>, and control characters.
+function unparseString(string, quote="\"") {
+  let reverse = new Map(Array.from(STRING_ESCAPES, ([k, v]) => [v, k]));
+
+  function escape(character) {
+    if (character == quote || (character != "\"" && character != "'"
+                               && reverse.has(character))) {
+      return "\\" + reverse.get(character);
+    }
+
+    let code = character.charCodeAt(0);
+
+    return code < 0x20 || code == 0x7f
+      ? "\\u" + code.toString(16).padStart(4, "0")
+      : character;
+  }
+
+  return quote + Array.from(string, escape).join("") + quote;
 }
 
 const STRING_TYPE = mpt(parseString, "a string surrounded by double quotes",
                         { unparse: unparseString });
 
+// Like <STRING_TYPE>, but also accept strings surrounded by single quotes.
+const QUOTED_STRING_TYPE = mpt(
+  parseQuotedString("\"'"),
+  "a string surrounded by single or double quotes",
+  { unparse: unparseString });
+
 const parseYesNo = parseChoice(parseConstant("yes"), parseConstant("no"));
 
 const YES_NO_TYPE = mpt(parseYesNo, "yes or no");
 
-// Help
+// Lists
+
+// Return a presentation type for lists of values of <elementType>, separated
+// by commas.  See <parseList> for <options>.  Annotate each element as a
+// parameter value of <elementType> so that its <showChoices> is called for
+// each one.  Its label has <element> set, and gets the <commandName> and
+// <name> of the list's parameter from <parseParameterValue>.  Unparse by
+// joining the elements, unparsed, with commas.
+function makeListType(elementType, options={}) {
+  let { min=0, max=Infinity } = options;
+  let count = min == max
+      ? "exactly " + min
+      : min > 0 && max < Infinity
+      ? min + " to " + max
+      : min > 0
+      ? "at least " + min
+      : max < Infinity
+      ? "at most " + max
+      : null;
+
+  return mpt(
+    parseList(annotate({ tag: "parameter-value",
+                         element: true,
+                         type: elementType },
+                       elementType.parse),
+              options),
+    "a comma-separated list of " + (count ? count + " " : "")
+      + "elements, each " + elementType.help,
+    { showCandidates: elementType.showCandidates,
+      unparse: elements => elements.map(e => elementType.unparse(e))
+        .join(", ") });
+}
+
+// Enumerations
+
+// Return a parser equivalent to <parser>, but that, when it fails, annotates
+// each completion that would complete text in <descriptions>, a <Map> from
+// text to a description of it, with a "description" label.  The UI shows the
+// descriptions next to the completions.
+function parseWithDescriptions(descriptions, parser) {
+  return function(input, success) {
+    let [successes, failure] = parser(input, success);
 
-// Return a parser equivalent to <parser> except that <helpText> is included as
-// an annotation.
-function help(parser, helpText) {
-  return annotate({ tag: "help", helpText: helpText },
-                  parser);
+    if (! failure) {
+      return [successes, failure];
+    }
+
+    let start = success.end;
+    let prefix = input.slice(start, failure.end);
+    let annotations = failure.completions
+        .map(c => prefix + c)
+        .filter(text => descriptions.has(text))
+        .map(text => new Annotation({ tag: "description",
+                                      description: descriptions.get(text),
+                                      text: text },
+                                    start,
+                                    failure.end));
+
+    return [successes, failure.prependAnnotations(annotations)];
+  };
 }
 
-// Return a parser that accepts any subset of the strings in the list
-// <constants>, each separated from the next by strings that <parseSeparator>
-// matches.
-function parseSubset(constants, parseSeparator) {
-  function choose(choices) {
-    return parseChain(
-      (c1, c2) => [c1, ...c2],
-      parseChoice(...Array.from(choices).map(c => parseConstant(c))),
-      function(success) {
-        let fewer = new Set(choices);
+// Return a presentation type for a fixed set of values described by <entries>,
+// with <help> as its help text.  Each entry has a canonical <name>, a
+// <witness>, which defaults to the name, a list of <aliases>, which are
+// accepted in place of the name, and a <description>.  Only names are offered
+// as completions, so that an alias that is a prefix of its name, e.g. "geo" for
+// "geosynchronous", doesn't hide the name.  The completion popup shows each
+// name's description and aliases next to it.  If <fuzzy> is true, accept
+// abbreviations, too.  See <parseFuzzyChoice>.  If <ignoreCase> is true or
+// false, see <mpt>.  Unparse each witness as its canonical name.
+function makeEnumType(entries, help, { fuzzy=false, ignoreCase=null } = {}) {
+  let names = entries.map(e => e.name);
+  let texts = [];
+  let witnesses = [];
+  let descriptions = new Map();
+
+  for (let e of entries) {
+    let witness = "witness" in e ? e.witness : e.name;
+    let aliases = e.aliases || [];
+    let also = aliases.length == 0 ? null : "also " + aliases.join(", ");
+
+    for (let text of [e.name, ...aliases]) {
+      texts.push(text);
+      witnesses.push(witness);
+    }
+    if (e.description || also) {
+      descriptions.set(e.name,
+                       [e.description, also].filter(d => d).join("; "));
+    }
+  }
 
-        fewer.delete(success.witness);
-        if (fewer.size == 0) {
-          return parseEmpty([]);
-        }
+  let parser = fuzzy
+      ? parseFuzzyChoice(texts, witnesses, names)
+      : parseChoice(...texts.map(
+        (t, i) => names.includes(t)
+          ? parseConstant(t, witnesses[i])
+          : withoutCompletions(parseConstant(t, witnesses[i]))));
+
+  function unparse(witness) {
+    let entry = entries.find(
+      e => ("witness" in e ? e.witness : e.name) === witness);
+
+    return entry ? entry.name : String(witness);
+  }
+
+  return mpt(parseWithDescriptions(descriptions, parser),
+             help,
+             { constants: texts, ignoreCase: ignoreCase, unparse: unparse });
+}
+
+// Dates and times
+
+// Dates are represented in ISO 8601 form, e.g. "2018-07-18", times as hours
+// and minutes, e.g. "13:30", or, when the seconds aren't zero, as hours,
+// minutes, and seconds, e.g. "13:30:15", and dates with times as a date and a
+// time separated by "T", e.g. "2018-07-18T13:30".
+
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday",
+                       "friday", "saturday"];
+
+function padNumber(number, width=2) {
+  return String(number).padStart(width, "0");
+}
+
+// Return the date <days> days after <date>.
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function formatDate(date) {
+  return padNumber(date.getFullYear(), 4)
+    + "-" + padNumber(date.getMonth() + 1)
+    + "-" + padNumber(date.getDate());
+}
+
+function formatTime(hour, minute, second=0) {
+  return padNumber(hour) + ":" + padNumber(minute)
+    + (second == 0 ? "" : ":" + padNumber(second));
+}
+
+// Return the date with <year>, <month>, and <day>, or null if there is none,
+// e.g. because <day> is 30 and <month> is 2.
+function makeDate(year, month, day) {
+  let date = new Date(2000, 0, 1);
+
+  date.setFullYear(year, month - 1, day);
+  return date.getMonth() == month - 1 && date.getDate() == day
+    ? formatDate(date)
+    : null;
+}
+
+// Return the current time as a <Date>, as given by the <now> method of
+// <context>, or by the system clock if <context>, e.g. one that doesn't extend
+// <CommandContext>, has no such method.
+function contextNow(context) {
+  return context && typeof context.now === "function"
+    ? context.now()
+    : new Date();
+}
+
+// Return a parser equivalent to <parser>, but whose witnesses are the results
+// of calling <makeWitness> on its witnesses and the current time, as given by
+// <contextNow>.  Since the witnesses depend on the time, set <readClock> so
+// that <parseMemoized> doesn't reuse them later.
+function parseRelativeToNow(makeWitness, parser) {
+  return function(input, success) {
+    let [successes, failure] = parser(input, success);
+
+    if (successes.length > 0) {
+      readClock = true;
+    }
+
+    return [successes.map(
+              s => new Success(s.annotations,
+                               s.context,
+                               s.end,
+                               makeWitness(s.witness, contextNow(s.context)))),
+            failure];
+  };
+}
+
+function parseDecimalDigits(regexp) {
+  return parseRegexp(result => parseInt(result[0], 10), regexp);
+}
+
+const parseYear = parseDecimalDigits(/[0-9]{4}/);
+const parseMonth = parseDecimalDigits(/1[0-2]|0?[1-9]/);
+const parseDay = parseDecimalDigits(/3[01]|[12][0-9]|0?[1-9]/);
+const parseHour = parseDecimalDigits(/2[0-3]|[01]?[0-9]/);
+const parseTwelveHour = parseDecimalDigits(/1[0-2]|0?[1-9]/);
+const parseMinute = parseDecimalDigits(/[0-5][0-9]/);
+
+// Parse dates like "2018/7/18" or "2018-07-18".
+const parseAbsoluteDate = parseMaybe(
+  parseChoice(
+    ...["/", "-"].map(
+      separator => parseSequence(
+        (y, s1, m, s2, d) => makeDate(y, m, d),
+        parseYear,
+        parseConstant(separator),
+        parseMonth,
+        parseConstant(separator),
+        parseDay))));
+
+const parseWeekday = parseChoice(
+  ...WEEKDAY_NAMES.map((name, i) => parseConstant(name, i)));
+
+// Parse "today", "tomorrow", "yesterday", and weekdays, e.g. "monday", which
+// is the first Monday from today on, "next monday", which is the first Monday
+// after today, and "last monday", which is the last Monday before today.  Each
+// witness is a function that, given today's weekday, returns how many days
+// from today the date is.
+const parseDayOffset = parseChoice(
+  parseConstant("today", weekday => 0),
+  parseConstant("tomorrow", weekday => 1),
+  parseConstant("yesterday", weekday => -1),
+  parseTransform(parseWeekday, d => weekday => (d - weekday + 7) % 7),
+  parseSequence(
+    (n, ws, d) => weekday => (d - weekday + 6) % 7 + 1,
+    parseConstant("next"),
+    parseWhitespace,
+    parseWeekday),
+  parseSequence(
+    (l, ws, d) => weekday => -((weekday - d + 6) % 7 + 1),
+    parseConstant("last"),
+    parseWhitespace,
+    parseWeekday));
+
+const parseRelativeDate = parseRelativeToNow(
+  (offset, now) => formatDate(addDays(now, offset(now.getDay()))),
+  parseDayOffset);
+
+const parseDate = parseChoice(parseAbsoluteDate, parseRelativeDate);
+
+// Parse times like "13:30" or "13:30:15".
+const parseTwentyFourHourTime = parseSequence(
+  (h, c, m, s) => formatTime(h, m, s),
+  parseHour,
+  parseConstant(":"),
+  parseMinute,
+  parseOptional(parseThen((c, s) => s, parseConstant(":"), parseMinute), 0));
+
+// Parse times like "1:30pm" or "2am".
+const parseTwelveHourTime = parseSequence(
+  (h, m, offset) => formatTime(h % 12 + offset, m),
+  parseTwelveHour,
+  parseOptional(parseThen((c, m) => m, parseConstant(":"), parseMinute), 0),
+  parseChoice(parseConstant("am", 0), parseConstant("pm", 12)));
+
+const parseTime = parseChoice(
+  parseTwentyFourHourTime,
+  parseTwelveHourTime,
+  parseConstant("noon", "12:00"),
+  parseConstant("midnight", "00:00"),
+  parseRelativeToNow(
+    (w, now) => formatTime(now.getHours(), now.getMinutes()),
+    parseConstant("now")));
+
+// Parse a date and a time, e.g. "2018-07-18T13:30" or "tomorrow 1:30pm", or
+// "now".
+const parseDateTime = parseChoice(
+  parseSequence(
+    (d, t, time) => d + "T" + time,
+    parseAbsoluteDate,
+    parseConstant("T"),
+    parseTwentyFourHourTime),
+  parseSequence(
+    (d, ws, time) => d + "T" + time,
+    parseDate,
+    parseWhitespace,
+    parseTime),
+  parseRelativeToNow(
+    (w, now) => formatDate(now)
+      + "T" + formatTime(now.getHours(), now.getMinutes()),
+    parseConstant("now")));
+
+// Parse a range of times, e.g. "1:30pm-2pm".  The witness is an object with
+// the <start> and <end> times.
+const parseTimeRange = parseSequence(
+  (start, hyphen, end) => ({ end: end, start: start }),
+  parseTime,
+  parseConstant("-"),
+  parseTime);
+
+const DATE_TYPE = mpt(
+  parseDate, "a date, e.g. 2018/7/18, 2018-07-18, today, or next monday");
+const TIME_TYPE = mpt(parseTime, "a time, e.g. 13:30, 1:30pm, or noon");
+const DATETIME_TYPE = mpt(
+  parseDateTime,
+  "a date and time, e.g. 2018-07-18T13:30 or tomorrow 1:30pm");
+const TIME_RANGE_TYPE = mpt(
+  parseTimeRange,
+  "a range of times, e.g. 1:30pm-2pm",
+  { unparse: range => range.start + "-" + range.end });
+
+// Help
+
+// Return a parser equivalent to <parser> except that <helpText> is included as
+// an annotation.
+function help(parser, helpText) {
+  return annotate({ tag: "help", helpText: helpText },
+                  parser);
+}
+
+// Return a parser that accepts any subset of the strings in the list
+// <constants>, each separated from the next by strings that <parseSeparator>
+// matches.
+function parseSubset(constants, parseSeparator) {
+  function choose(choices) {
+    return parseChain(
+      (c1, c2) => [c1, ...c2],
+      parseChoice(...Array.from(choices).map(c => parseConstant(c))),
+      function(success) {
+        let fewer = new Set(choices);
+
+        fewer.delete(success.witness);
+        if (fewer.size == 0) {
+          return parseEmpty([]);
+        }
         return parseAlternatives(
           parseEmpty([]),
           parseThen((s, f) => f, parseSeparator, choose(fewer)));
       });
   }
-  if (constants.size == 0) {
+  let set = new Set(constants);
+
+  if (set.size == 0) {
       return parseEmpty([]);
   }
-  return parseAlternatives(parseEmpty([]), choose(new Set(constants)));
+  return parseAlternatives(parseEmpty([]), choose(set));
+}
+
+// Return a presentation type for non-empty subsets of the strings in
+// <constants>, separated by commas, e.g. "read, write".  Once a string has been
+// chosen, it is no longer offered as a completion.  The witness is an array of
+// the chosen strings in the order they were entered or, if <set> is true, a
+// <Set> of them.
+function makeSubsetType(constants, help, { set=false } = {}) {
+  return mpt(
+    parseTransform(parseNonEmpty(parseSubset(constants, parseComma)),
+                   chosen => set ? new Set(chosen) : chosen),
+    help,
+    { unparse: chosen => Array.from(chosen).join(", ") });
+}
+
+// Fuzzy matching
+
+// Return true iff the characters of <string1> appear in <string2> in the same
+// order, though not necessarily contiguously.
+function isSubsequence(string1, string2) {
+  let i = 0;
+
+  for (let j = 0; i < string1.length && j < string2.length; j++) {
+    if (string1[i] == string2[j]) {
+      i++;
+    }
+  }
+  return i == string1.length;
+}
+
+// Return true iff each of <prefixes> is a prefix of one of <words>, in order.
+function areWordPrefixes(prefixes, words) {
+  let j = 0;
+
+  for (let p of prefixes) {
+    while (j < words.length && ! words[j].startsWith(p)) {
+      j++;
+    }
+    if (j == words.length) {
+      return false;
+    }
+    j++;
+  }
+  return true;
+}
+
+// Return a positive score for how well <query> abbreviates <candidate>,
+// ignoring case, or zero if it doesn't.  From best to worst, <query> may be a
+// prefix of <candidate>, an initialism, e.g. "lr" for "Launch Rocket",
+// prefixes of its words, e.g. "la ro", or just a subsequence.  Each of these
+// is also a subsequence, so if <query> scores zero, so does anything that
+// starts with it.
+function fuzzyMatchScore(query, candidate) {
+  let q = query.toLowerCase();
+  let c = candidate.toLowerCase();
+  let words = c.split(/\s+/).filter(w => w != "");
+
+  if (c.startsWith(q)) {
+    return 4;
+  }
+  if (! /\s/.test(q) && isSubsequence(q, words.map(w => w[0]).join(""))) {
+    return 3;
+  }
+  if (areWordPrefixes(q.split(/\s+/).filter(w => w != ""), words)) {
+    return 2;
+  }
+  return isSubsequence(q, c) ? 1 : 0;
+}
+
+// Return a parser that accepts any of the strings in <candidates>, returning
+// the corresponding element of <witnesses>.  Like <parseConstant>, accept each
+// candidate exactly, and offer completions for the prefixes of those in
+// <offered>.  But also accept any abbreviation of a candidate that
+// <fuzzyMatchScore> recognizes and that ends at the end of a word.  Order those
+// <Success>es from best match to worst, and annotate each with a "canonical"
+// label whose <text> is the candidate, whose <score> is the match's score, and
+// whose <unique> is true iff no other candidate scores as well for the same
+// text.  That way, the UI can rank candidates and replace abbreviations with
+// canonical text, even when it only sees the annotation of one of them.
+function parseFuzzyChoice(candidates, witnesses=candidates,
+                          offered=candidates) {
+  let parseExact = parseChoice(
+    ...candidates.map(
+      (c, i) => offered.includes(c)
+        ? parseConstant(c, witnesses[i])
+        : withoutCompletions(parseConstant(c, witnesses[i]))));
+
+  return function(input, success) {
+    let start = success.end;
+    let [exact, exactFailure] = parseExact(input, success);
+    let matches = [];
+    let end = start;
+
+    for (let i = start; i < input.length; i++) {
+      let query = input.slice(start, i + 1);
+      let scores = candidates.map(c => fuzzyMatchScore(query, c));
+
+      if (scores.every(s => s == 0)) {
+        break;
+      }
+      end = i + 1;
+      if (/\s/.test(input[i]) || (end < input.length
+                                  && ! /\s/.test(input[end]))) {
+        continue;
+      }
+
+      let best = Math.max(...scores);
+      let unique = scores.filter(s => s == best).length == 1;
+
+      scores.forEach(function(score, j) {
+        if (score > 0
+            && ! exact.some(e => e.end == end && e.witness === witnesses[j])) {
+          matches.push({ end: end,
+                         index: j,
+                         score: score,
+                         unique: unique && score == best });
+        }
+      });
+    }
+    matches.sort((m1, m2) => m2.score - m1.score);
+
+    let fuzzy = matches.map(function(m) {
+      let label = { tag: "canonical",
+                    score: m.score,
+                    text: candidates[m.index],
+                    unique: m.unique };
+
+      return new Success(
+        [new Annotation(label, start, m.end), ...success.annotations],
+        success.context,
+        m.end,
+        witnesses[m.index]);
+    });
+    let successes = [...exact, ...fuzzy];
+    let furthest = furthestSuccess(successes);
+    let failure = mergeFailures(
+      exactFailure,
+      (successes.length == 0 || end > furthest)
+        && new Failure([], [], end, false));
+
+    return [successes, failure && failure.end >= furthest && failure];
+  };
 }
 
 // Parsing commands
 
+// If <repeatable> is true, the keyword parameter <name> may appear more than
+// once, and its values are collected into an array.  If the parameter is
+// absent and <defaultValue> isn't undefined, the parameter gets that value, or,
+// if <defaultValue> is a function, the value it returns when called on the
+// other parameters.  See <defaultParameterValue>.
 class ParameterSpec {
-  constructor(name, type=STRING_TYPE, help=null) {
+  constructor(name, type=STRING_TYPE, help=null,
+              { defaultValue=undefined, repeatable=false } = {}) {
+    this.defaultValue = defaultValue;
     this.help = help;
     this.name = name;
+    this.repeatable = repeatable;
     this.type = type;
   }
 }
 
-function mps(name, type=STRING_TYPE, help=null) {
-  return new ParameterSpec(name, type, help);
+function mps(name, type=STRING_TYPE, help=null, options={}) {
+  return new ParameterSpec(name, type, help, options);
+}
+
+// Return the default value of the parameter described by <parameterSpec>,
+// given <parameters>, an object holding the other parameters, or undefined if
+// it has none.
+function defaultParameterValue(parameterSpec, parameters) {
+  let value = parameterSpec.defaultValue;
+
+  return typeof value === "function" ? value(parameters) : value;
+}
+
+// Return the name and value pairs of the parameters and flags to the command
+// named <commandName> that have been entered so far, in order, according to
+// the annotations of <result>, a <Success> or <Failure>.
+function enteredParameters(commandName, result) {
+  return result.annotations
+    .filter(a => a.label.commandName === commandName
+            && ! a.label.element
+            && (a.label.tag === "flag"
+                || (a.label.tag === "parameter-value" && "witness" in a.label)))
+    .reverse()
+    .map(a => [a.label.name, a.label.tag === "flag" || a.label.witness]);
+}
+
+// Return a parser equivalent to <parser>, but that, when it fails and the
+// parameter described by <parameterSpec> would get a default value, describes
+// one completion by calling <describe> on the unparsed default.  That
+// completion is <text>, or, if <text> is null, the unparsed default itself.
+// <defaultAfter> returns the default value that a parameter would get if the
+// command were finished after a given <Success>, or undefined.  See
+// <parseWithDescriptions>.
+function parseDefaultHint(parameterSpec, text, describe, defaultAfter, parser) {
+  if (! defaultAfter || parameterSpec.defaultValue === undefined) {
+    return parser;
+  }
+  return function(input, success) {
+    let value = defaultAfter(success, parameterSpec.name);
+
+    if (value === undefined) {
+      return parser(input, success);
+    }
+
+    let unparsed = parameterSpec.type.unparse(value);
+    let descriptions = new Map([[text || unparsed, describe(unparsed)]]);
+
+    return parseWithDescriptions(descriptions, parser)(input, success);
+  };
 }
 
 function addParameterHelp(parameterSpec, parser) {
@@ -791,23 +2191,66 @@ function parseDefaults(commandName, parameterName, presentationType) {
   };
 }
 
-function parseParameterValue(commandName, parameterSpec) {
-  let name = parameterSpec.name;
-  let type = parameterSpec.type;
+// Return a parser equivalent to <parser>, but that adds <commandName> and
+// <name> to the labels of the annotations of list elements, which
+// <makeListType> can't know, so that they name the parameter they belong to.
+function labelElements(commandName, name, parser) {
+  function label(a) {
+    return a.label.element && ! ("commandName" in a.label)
+      ? new Annotation(Object.assign({}, a.label, { commandName, name }),
+                       a.start,
+                       a.end)
+      : a;
+  }
+
+  return function(input, success) {
+    let [successes, failure] = parser(input, success);
 
-  return addParameterHelp(
-    parameterSpec,
-    annotate(
-      { tag: "parameter-value",
-        commandName: commandName,
-        name: name,
-        type: type },
-      parseDefaults(commandName, name, type)));
+    return [successes.map(
+              s => new Success(s.annotations.map(label),
+                               s.context,
+                               s.end,
+                               s.witness)),
+            failure && new Failure(failure.annotations.map(label),
+                                   failure.completions,
+                                   failure.end,
+                                   failure.pause)];
+  };
 }
 
-// Parse whitespace followed by one keyword and value from <parameterSpecs>,
-// giving preference in completions to <preferredNames>.
-function parseKeywordAndValue(commandName, preferredNames, parameterSpecs) {
+// Parse the value of the parameter described by <parameterSpec> to the
+// command named <commandName>.  If <defaultAfter> isn't null, show the
+// parameter's default value as a hint in completions.  See <parseDefaultHint>.
+function parseParameterValue(commandName, parameterSpec, defaultAfter=null) {
+  let name = parameterSpec.name;
+  let type = parameterSpec.type;
+
+  return parseMemoized(
+    addParameterHelp(
+      parameterSpec,
+      annotate(
+        { tag: "parameter-value",
+          commandName: commandName,
+          name: name,
+          type: type },
+        labelElements(
+          commandName,
+          name,
+          parseDefaultHint(parameterSpec,
+                           null,
+                           unparsed => "default",
+                           defaultAfter,
+                           parseDefaults(commandName, name, type))))));
+}
+
+// Parse whitespace followed by one keyword and value from <parameterSpecs>, or
+// by one of the keywords in <flags>, which take no value, giving preference in
+// completions to <preferredNames>.  The witness is the parameter's name and
+// value, which is true for a flag.  If <defaultAfter> isn't null, show the
+// default value, if any, of each parameter beside its keyword in completions.
+// See <parseDefaultHint>.
+function parseKeywordAndValue(commandName, preferredNames, parameterSpecs,
+                              flags=[], defaultAfter=null) {
   function makeCompletions(context, nameFailure, start) {
     if (! nameFailure) {
       return [];
@@ -828,13 +2271,26 @@ function parseKeywordAndValue(commandName, preferredNames, parameterSpecs) {
             parseWhitespace,
             parseWithCompletions(
               makeCompletions,
-              annotate({ tag: "parameter-name",
-                         commandName: commandName,
-                         name: name },
-                       parseConstant(name))),
+              parseDefaultHint(
+                ps,
+                name,
+                unparsed => "default: " + unparsed,
+                defaultAfter,
+                annotate({ tag: "parameter-name",
+                           commandName: commandName,
+                           name: name },
+                         parseConstant(name)))),
             parseWhitespace,
-            parseParameterValue(commandName, ps));
-        }));
+            parseParameterValue(commandName, ps, defaultAfter));
+        }),
+      ...flags.map(
+        name => parseSequence(
+          (ws, n) => [n, true],
+          parseWhitespace,
+          parseWithCompletions(
+            makeCompletions,
+            annotate({ tag: "flag", commandName: commandName, name: name },
+                     parseConstant(name))))));
 }
 
 // Parse the keyword parameters to command named <commandName>.  Each element of
@@ -842,94 +2298,972 @@ function parseKeywordAndValue(commandName, preferredNames, parameterSpecs) {
 // parameters are listed in <optional>.  Preferred parameters are listed in
 // <preferred>.  They are required, but are special because only they should be
 // shown when they haven't yet been specified and an empty parameter completion
-// appears.  Other required parameters are listed in <required>.  Annotate each
-// parameter name and value.
-function parseKeywordParameters(commandName, optional, preferred, required) {
+// appears.  Other required parameters are listed in <required>.  Each element
+// of <flags> is the name of an optional keyword that takes no value.  A
+// repeatable parameter remains available after it has been used.  Annotate
+// each parameter name and value, and each flag.  See <parseKeywordAndValue>
+// for <defaultAfter>.
+function parseKeywordParameters(commandName, optional, preferred, required,
+                                flags=[], defaultAfter=null) {
   let preferredNames = preferred.map(ps => ps.name);
   let parameterSpecs = [...optional, ...preferred, ...required];
   let requiredNames = [...preferredNames, ...required.map(ps => ps.name)];
+  let parsers = new Map();
 
   // This copies a lot, but <Map> and <Set> don't have non-mutating delete
   // operations, so copying is hard to avoid in functional code.  It should
-  // still be plenty fast.
-  function next(parameterSpecs, preferredNames, requiredNames) {
+  // still be plenty fast.  Reuse the parser for each set of remaining
+  // parameters so that <parseMemoized> recognizes it from one parse to the
+  // next.
+  function next(parameterSpecs, preferredNames, requiredNames, flags) {
+    let key = JSON.stringify(
+      [parameterSpecs.map(ps => ps.name), requiredNames, flags]);
+
+    if (parsers.has(key)) {
+      return parsers.get(key);
+    }
+
     let parser = parseChain(
       (w1, w2) => [w1, ...w2],
-      parseKeywordAndValue(commandName, preferredNames, parameterSpecs),
+      parseKeywordAndValue(commandName, preferredNames, parameterSpecs,
+                           flags, defaultAfter),
       function(success) {
         let [name, value] = success.witness;
 
-        return next(parameterSpecs.filter(ps => ps.name != name),
+        return next(parameterSpecs.filter(ps => ps.name != name
+                                          || ps.repeatable),
                     preferredNames.filter(n => n != name),
-                    requiredNames.filter(n => n != name));
+                    requiredNames.filter(n => n != name),
+                    flags.filter(n => n != name));
       });
 
-    return requiredNames.length == 0
-      ? parseOptional(parser, [])
-      : parser;
+    let result = requiredNames.length == 0
+        ? parseOptional(parser, [])
+        : parser;
+
+    parsers.set(key, result);
+    return result;
   }
 
-  return next(parameterSpecs, preferredNames, requiredNames);
+  return next(parameterSpecs, preferredNames, requiredNames, flags);
 }
 
 // Parse the positional parameters to a command, each prefixed with whitespace.
-// All are required.  Each element of <positional> is a <parameter-spec>.
-// Annotate each parameter value.
-function parsePositionalParameters(commandName, positional) {
-  return parseTransform(
-    whitespacePrefixed(
-      positional.map(function(ps) {
-        let name = ps.name;
-        let type = ps.type;
+// Those in <positional> are required.  Those in <optionalPositional> may follow
+// them, but each only if the ones before it are present.  If <rest> isn't
+// null, one or more values for it follow all of those.  Since it wouldn't be
+// clear which values belonged to <rest> and which to the optional ones, throw
+// an error if both are given.  Each element of <positional> and
+// <optionalPositional>, and <rest>, is a <parameter-spec>.  The witness is an
+// array of parameter name and value pairs, where the value of <rest> is an
+// array.  Annotate each parameter value.  See <parseParameterValue> for
+// <defaultAfter>.
+function parsePositionalParameters(commandName, positional,
+                                   optionalPositional=[], rest=null,
+                                   defaultAfter=null) {
+  if (rest && optionalPositional.length > 0) {
+    throw new Error("Command \"" + commandName + "\" can't have both "
+                    + "optional positional parameters and a rest parameter.");
+  }
+
+  function parseValue(ps) {
+    return parseThen((ws, v) => v,
+                     parseWhitespace,
+                     parseParameterValue(commandName, ps, defaultAfter));
+  }
+
+  function parseRest() {
+    return parseTransform(
+      parsePlus(values => values, parseValue(rest)),
+      values => [[rest.name, values]]);
+  }
 
-        return parseParameterValue(commandName, ps);
-      })),
-    witnesses => witnesses.map((w, i) => [positional[i].name, w]));
+  function parseOptionalFrom(i) {
+    if (i == optionalPositional.length) {
+      return parseEmpty([]);
+    }
+
+    let ps = optionalPositional[i];
+
+    return parseAlternatives(
+      parseThen((v, more) => [[ps.name, v], ...more],
+                parseValue(ps),
+                parseOptionalFrom(i + 1)),
+      parseEmpty([]));
+  }
+
+  return parseThen(
+    (required, more) => [...required, ...more],
+    parseTransform(
+      whitespacePrefixed(
+        positional.map(ps => parseParameterValue(commandName, ps))),
+      witnesses => witnesses.map((w, i) => [positional[i].name, w])),
+    rest ? parseRest() : parseOptionalFrom(0));
 }
 
-function commandToObject(name, parameters) {
+// Return a command object named <name> whose parameters are the name and value
+// pairs in <parameters>.  Collect the values of each parameter named in
+// <repeatable> into an array.  If <path> isn't null, record it, too.
+function commandToObject(name, parameters, repeatable=[], path=null) {
   let encoded = Object.create(null);
 
   for (let [key, value] of parameters) {
-    encoded[key] = value;
+    if (! repeatable.includes(key)) {
+      encoded[key] = value;
+    } else if (key in encoded) {
+      encoded[key].push(value);
+    } else {
+      encoded[key] = [value];
+    }
   }
-  return { name: name, parameters: encoded };
+  return path
+    ? { name: name, parameters: encoded, path: path }
+    : { name: name, parameters: encoded };
+}
+
+// Give each parameter in <parameterSpecs> that is absent from <command> its
+// default value, if any, in order, so that a default that is a function sees
+// the defaults of the parameters before it.  Return <command>.
+function addDefaultParameters(command, parameterSpecs) {
+  let parameters = command.parameters;
+
+  for (let ps of parameterSpecs) {
+    if (! (ps.name in parameters)) {
+      let value = defaultParameterValue(ps, parameters);
+
+      if (value !== undefined) {
+        parameters[ps.name] = value;
+      }
+    }
+  }
+  return command;
+}
+
+// Return a parser equivalent to <parseName>, which parses the command name
+// <name>, but that also accepts any of <aliases> in its place, returning
+// <name>.  When the input could still become <name>, don't offer the aliases
+// as completions, too.  Describe <name> in completions by listing its aliases,
+// and describe each alias by <name>.
+function parseCommandAliases(name, aliases, parseName) {
+  let parser = parseChoice(parseName,
+                           ...aliases.map(a => parseConstant(a, name)));
+  let descriptions = new Map(
+    [[name, aliases.join(", ")], ...aliases.map(a => [a, name])]);
+
+  return parseWithDescriptions(
+    descriptions,
+    function(input, success) {
+      let [successes, failure] = parser(input, success);
+
+      if (! failure) {
+        return [successes, failure];
+      }
+
+      let prefix = input.slice(success.end, failure.end);
+      let texts = failure.completions.map(c => prefix + c);
+
+      if (! texts.includes(name)) {
+        return [successes, failure];
+      }
+
+      let completions = failure.completions.filter(
+        (c, i) => ! aliases.includes(texts[i]));
+
+      return [successes,
+              new Failure(
+                failure.annotations, completions, failure.end, failure.pause)];
+    });
+}
+
+// Return a parser equivalent to <parser>, which parses the command named
+// <commandName>, but that checks the command's parameters with each of
+// <validators>.  A validator is called on the parameters and on whether the
+// command is complete, i.e. could be finished as is.  It returns a false value
+// if they are acceptable, or else an error: a message, or an object with a
+// <message> and the names of the offending <parameters>.  Annotate each error
+// with an "error" label at the values of those parameters that were entered,
+// or at the whole command if there are none.  Check the command of each
+// <Success>, and check the incomplete command that <commandAfter> returns for
+// the <Failure>, if any.
+function parseValidated(commandName, validators, commandAfter, parser) {
+  if (validators.length == 0) {
+    return parser;
+  }
+
+  function check(parameters, complete, annotations, start, end) {
+    let errors = [];
+
+    for (let validator of validators) {
+      let error = validator(parameters, complete);
+
+      if (! error) {
+        continue;
+      }
+
+      let label = typeof error === "string"
+          ? { tag: "error", message: error, parameters: [] }
+          : { tag: "error",
+              message: error.message,
+              parameters: error.parameters || [] };
+      let values = annotations.filter(
+        a => a.label.tag === "parameter-value"
+          && ! a.label.element
+          && a.label.commandName === commandName
+          && label.parameters.includes(a.label.name)
+          && "witness" in a.label);
+
+      for (let a of values.length > 0 ? values : [{ start, end }]) {
+        errors.push(new Annotation(label, a.start, a.end));
+      }
+    }
+    return errors;
+  }
+
+  return function(input, success) {
+    let [successes, failure] = parser(input, success);
+    let start = success.end;
+
+    return [successes.map(
+              s => new Success(
+                [...check(s.witness.parameters, true, s.annotations, start,
+                          s.end),
+                 ...s.annotations],
+                s.context,
+                s.end,
+                s.witness)),
+            failure
+            && failure.prependAnnotations(
+              check(commandAfter(failure).parameters,
+                    false,
+                    failure.annotations,
+                    start,
+                    failure.end))];
+  };
+}
+
+// Return the messages of the "error" annotations in <annotations>, e.g. from
+// <parseValidated>, without duplicates.
+function validationErrors(annotations) {
+  return [...new Set(annotations.filter(a => a.label.tag === "error")
+                     .map(a => a.label.message))];
 }
 
 // Parse command name and the parameters to the command, separated by
-// whitespace, starting with the positional parameters, which are required, and
-// followed by the keyword parameters.  Each element of <positional>,
-// <optional>, <preferred>, and <required> is a <parameterSpec>.  See
-// <parseKeywordParameters> for more details.  Annotate the command name and
-// every parameter name and value.
-function parseCommand(name, positional, optional, preferred, required) {
-  return parseSequence(
-    (n, p, k) => commandToObject(n, [...p, ...k]),
-    annotate({ tag: "command-name" , name: name }, parseConstant(name)),
-    parsePositionalParameters(name, positional),
-    parseKeywordParameters(name, optional, preferred, required));
+// whitespace, starting with the positional parameters and followed by the
+// keyword parameters.  Each element of <positional>, <optional>, <preferred>,
+// <required>, and <optionalPositional>, and <rest>, if it isn't null, is a
+// <parameterSpec>, and each element of <flags> is the name of a keyword that
+// takes no value.  Flags that are absent are false, and other parameters that
+// are absent get their default values, if any.  See
+// <parsePositionalParameters> and <parseKeywordParameters> for more details.
+// Annotate the command name, every parameter name and value, and every flag.
+// If <fuzzy> is true, accept abbreviations of the command name, too.  See
+// <parseFuzzyChoice>.  If <path> isn't null, it is the list of the names of
+// the command and the commands above it in the grammar, from the top down, and
+// the command name is entered as those names separated by whitespace.  Each of
+// <aliases> may be entered in place of the command name.  Check the command
+// with <validators>.  See <parseValidated>.
+function parseCommand(name, positional, optional, preferred, required,
+                      { aliases=[],
+                        flags=[],
+                        fuzzy=false,
+                        optionalPositional=[],
+                        path=null,
+                        rest=null,
+                        validators=[] } = {}) {
+  let repeatable = [...optional, ...preferred, ...required]
+      .filter(ps => ps.repeatable)
+      .map(ps => ps.name);
+  let defaulted = [...optionalPositional, ...optional];
+  let flagDefaults = flags.map(f => [f, false]);
+
+  // Return the command object that would result if the command were finished
+  // after <result>, a <Success> or <Failure>, or, if <withDefaults> is false,
+  // the command object without the defaults of the missing parameters.
+  function commandAfter(result, withDefaults=true) {
+    let command = commandToObject(
+      name,
+      [...flagDefaults, ...enteredParameters(name, result)],
+      rest ? [...repeatable, rest.name] : repeatable,
+      path);
+
+    return withDefaults ? addDefaultParameters(command, defaulted) : command;
+  }
+
+  // Return the default value that parameter <parameterName> would get if the
+  // command were finished after <success>, or undefined if it wouldn't get one.
+  function defaultAfter(success, parameterName) {
+    return parameterName in commandAfter(success, false).parameters
+      ? undefined
+      : commandAfter(success).parameters[parameterName];
+  }
+
+  function parseName(n) {
+    return fuzzy ? parseFuzzyChoice([n]) : parseConstant(n);
+  }
+
+  let parseFullName = path
+      ? parseSequence(() => name,
+                      ...separate(parseWhitespace, path.map(parseName)))
+      : parseName(name);
+
+  return parseValidated(
+    name,
+    validators,
+    commandAfter,
+    parseSequence(
+      (n, p, k) => addDefaultParameters(
+        commandToObject(name,
+                        [...flagDefaults, ...p, ...k],
+                        repeatable,
+                        path),
+        defaulted),
+      annotate({ tag: "command-name" , name: name },
+               aliases.length == 0
+               ? parseFullName
+               : parseCommandAliases(name, aliases, parseFullName)),
+      parsePositionalParameters(
+        name, positional, optionalPositional, rest, defaultAfter),
+      parseKeywordParameters(
+        name, optional, preferred, required, flags, defaultAfter)));
+}
+
+// The properties of grammar entries that list parameters, flags, or validators,
+// which a subcommand inherits from the entry above it.
+const INHERITED_GRAMMAR_LISTS = ["flags", "optional", "positional", "preferred",
+                                 "repeatable", "required", "validators"];
+
+// Return the commands in <grammar>, replacing each entry that has
+// <subcommands> with the commands they contain, recursively.  Each such
+// command inherits the properties of the entries above it, with their
+// parameters, flags, and validators before its own, and has a <path> that
+// lists the names of those entries and its own name, and a <name> that joins
+// them with spaces.
+// <aliases> aren't inherited, since each names only its own entry.
+function flattenGrammar(grammar, parent=null) {
+  return [].concat(...grammar.map(function(entry) {
+    let command = entry;
+
+    if (parent) {
+      command = Object.assign({}, parent, entry, {
+        name: parent.name + " " + entry.name,
+        aliases: entry.aliases,
+        path: [...parent.path, entry.name],
+        subcommands: entry.subcommands
+      });
+      for (let key of INHERITED_GRAMMAR_LISTS) {
+        command[key] = [...(parent[key] || []), ...(entry[key] || [])];
+      }
+    }
+    return command.subcommands
+      ? flattenGrammar(command.subcommands,
+                       Object.assign({ path: [command.name] }, command))
+      : [command];
+  }));
+}
+
+// The properties of grammar entries that <parseCommandFromGrammar> understands.
+const GRAMMAR_ENTRY_KEYS = ["aliases", "flags", "keyParameter", "name",
+                            "optional", "optionalPositional", "positional",
+                            "preferred", "repeatable", "required", "rest",
+                            "subcommands", "validators"];
+
+// A problem with the entry or property at <path> in a grammar, e.g.
+// "grammar[2].optional[0]", described by <message>.  If <warning> is true, the
+// grammar works, but may confuse users.  See <checkGrammar>.
+class GrammarProblem {
+  constructor(path, message, warning=false) {
+    this.message = message;
+    this.path = path;
+    this.warning = warning;
+  }
+
+  toString() {
+    return (this.warning ? "warning: " : "") + this.path + ": " + this.message;
+  }
 }
 
-function parseCommandFromGrammar(grammar) {
-  function normalize(parameters) {
-    return parameters === undefined
-      ? []
-      : parameters.map(p => Array.isArray(p) ? mps(p[0], p[1]) : mps(p));
+// Return the number of single-character insertions, deletions, and
+// substitutions needed to turn <string1> into <string2>.
+function editDistance(string1, string2) {
+  let previous = Array.from({ length: string2.length + 1 }, (x, j) => j);
+
+  for (let i = 1; i <= string1.length; i++) {
+    let current = [i];
+
+    for (let j = 1; j <= string2.length; j++) {
+      current.push(Math.min(previous[j] + 1,
+                            current[j - 1] + 1,
+                            previous[j - 1]
+                              + (string1[i - 1] == string2[j - 1] ? 0 : 1)));
+    }
+    previous = current;
   }
+  return previous[string2.length];
+}
 
-  return parseChoice(
-      ...grammar.map(function(c) {
+// Return a list of <GrammarProblem>s with <grammar>: errors, such as
+// parameters without presentation types, duplicate command or parameter names,
+// and aliases that collide with other commands, and warnings, such as unknown
+// properties, which may be misspellings or may be an app's own metadata, and
+// ambiguity, such as a command name that is a prefix of another or a keyword
+// that is also a value of an enumeration-typed parameter.
+function checkGrammar(grammar) {
+  let problems = [];
+  let leafPaths = [];
+
+  function error(path, message) {
+    problems.push(new GrammarProblem(path, message));
+  }
+
+  function warn(path, message) {
+    problems.push(new GrammarProblem(path, message, true));
+  }
+
+  function quote(string) {
+    return "\"" + string + "\"";
+  }
+
+  function checkStrings(list, path) {
+    if (! Array.isArray(list)) {
+      error(path, "expected an array of strings");
+      return false;
+    }
+    list.forEach(function(s, i) {
+      if (typeof s !== "string") {
+        error(path + "[" + i + "]", "expected a string");
+      }
+    });
+    return true;
+  }
+
+  function checkParameter(parameter, path) {
+    if (typeof parameter === "string") {
+      return;
+    }
+    if (! Array.isArray(parameter) || typeof parameter[0] !== "string") {
+      error(path, "expected a name or a [name, type, options] array");
+      return;
+    }
+
+    let [name, type, options={}] = parameter;
+
+    if (parameter.length > 3) {
+      error(path, "expected at most a name, a type, and options");
+    }
+    if (parameter.length > 1 && ! (type instanceof PresentationType)) {
+      error(path + "[1]",
+            type === undefined
+            ? "missing presentation type for " + quote(name)
+            : "the type of " + quote(name) + " isn't a presentation type");
+    }
+    if (! (options instanceof Object)) {
+      error(path + "[2]", "expected an options object");
+    } else {
+      for (let key of Object.keys(options).filter(k => k != "default")) {
+        warn(path + "[2]." + key, "unknown option " + quote(key));
+      }
+    }
+  }
+
+  // Check <entry>, and return true iff it is sound enough to be flattened and
+  // checked further.  See <flattenGrammar>.
+  function checkEntry(entry, path) {
+    let sound = true;
+
+    if (! (entry instanceof Object) || Array.isArray(entry)) {
+      error(path, "expected a grammar entry object");
+      return false;
+    }
+    for (let key of Object.keys(entry)) {
+      if (! GRAMMAR_ENTRY_KEYS.includes(key)) {
+        let closest = GRAMMAR_ENTRY_KEYS.find(k => editDistance(k, key) <= 2);
+
+        warn(path + "." + key,
+             "unknown property " + quote(key)
+             + (closest ? "; did you mean " + quote(closest) + "?" : ""));
+      }
+    }
+    if (typeof entry.name !== "string" || entry.name == "") {
+      error(path, "missing command name");
+      sound = false;
+    }
+    for (let key of ["aliases", "flags", "repeatable"]) {
+      if (key in entry) {
+        sound = checkStrings(entry[key], path + "." + key) && sound;
+      }
+    }
+    for (let key of ["optional", "optionalPositional", "positional",
+                     "preferred", "required"]) {
+      if (! (key in entry)) {
+        continue;
+      } else if (! Array.isArray(entry[key])) {
+        error(path + "." + key, "expected an array of parameters");
+        sound = false;
+      } else {
+        entry[key].forEach(
+          (p, i) => checkParameter(p, path + "." + key + "[" + i + "]"));
+      }
+    }
+    if ("rest" in entry) {
+      checkParameter(entry.rest, path + ".rest");
+    }
+    if ("keyParameter" in entry && typeof entry.keyParameter !== "string") {
+      error(path + ".keyParameter", "expected a parameter name");
+    }
+    if ("validators" in entry
+        && ! (Array.isArray(entry.validators)
+              && entry.validators.every(v => v instanceof Function))) {
+      error(path + ".validators", "expected an array of functions");
+    }
+    if (! ("subcommands" in entry)) {
+      leafPaths.push(path);
+      return sound;
+    } else if (! Array.isArray(entry.subcommands)
+               || entry.subcommands.length == 0) {
+      error(path + ".subcommands", "expected a non-empty array of entries");
+      return false;
+    }
+    return entry.subcommands
+      .map((e, i) => checkEntry(e, path + ".subcommands[" + i + "]"))
+      .every(s => s)
+      && sound;
+  }
+
+  function parameterName(parameter) {
+    return Array.isArray(parameter) ? parameter[0] : parameter;
+  }
+
+  function checkCommand(command, path) {
+    let kinds = new Map();
+    let keywords = [...command.flags || []];
+    let values = [];
+
+    function add(name, kind) {
+      let previous = kinds.get(name);
+
+      if (previous === undefined) {
+        kinds.set(name, kind);
+      } else if (previous == kind) {
+        error(path, "duplicate " + kind + " " + quote(name));
+      } else {
+        error(path, quote(name) + " is both a " + previous + " and a " + kind);
+      }
+    }
+
+    for (let key of ["positional", "optionalPositional", "rest", "optional",
+                     "preferred", "required"]) {
+      let kind = key == "optional" || key == "preferred" || key == "required"
+          ? "keyword parameter"
+          : "positional parameter";
+      let parameters = key == "rest"
+          ? (command.rest ? [command.rest] : [])
+          : command[key] || [];
+
+      for (let p of parameters.filter(
+        p => typeof parameterName(p) === "string")) {
+        add(parameterName(p), kind);
+        if (kind == "keyword parameter") {
+          keywords.push(parameterName(p));
+        }
+        if (Array.isArray(p) && p[1] && p[1].constants) {
+          values.push([parameterName(p), p[1].constants]);
+        }
+      }
+    }
+    for (let f of command.flags || []) {
+      add(f, "flag");
+    }
+    for (let r of command.repeatable || []) {
+      if (kinds.get(r) !== "keyword parameter") {
+        error(path + ".repeatable",
+              "repeatable " + quote(r) + " isn't a keyword parameter");
+      }
+    }
+    if ((command.optionalPositional || []).length > 0 && command.rest) {
+      error(path, "a command can't have both optionalPositional and rest");
+    }
+    if (command.keyParameter !== undefined
+        && ! kinds.has(command.keyParameter)) {
+      error(path + ".keyParameter",
+            "key parameter " + quote(command.keyParameter)
+            + " isn't a parameter");
+    }
+    for (let k of keywords) {
+      for (let [name, constants] of values) {
+        if (constants.includes(k)) {
+          warn(path,
+               "keyword " + quote(k) + " is also a value of " + quote(name));
+        }
+      }
+    }
+  }
+
+  function checkCommandNames(commands, paths) {
+    let owners = new Map();
+    let texts = [];
+
+    commands.forEach(function(c, i) {
+      if (owners.has(c.name)) {
+        error(paths[i],
+              "duplicate command name " + quote(c.name) + ", also at "
+              + paths[owners.get(c.name)]);
+      } else {
+        owners.set(c.name, i);
+      }
+      texts.push([c.name, i]);
+    });
+    commands.forEach(function(c, i) {
+      for (let a of c.aliases || []) {
+        let owner = owners.get(a);
+
+        if (owner !== undefined && owner !== i) {
+          error(paths[i] + ".aliases",
+                "alias " + quote(a) + " collides with "
+                + (commands[owner].name == a ? "command " : "an alias of ")
+                + quote(commands[owner].name) + " at " + paths[owner]);
+        } else {
+          owners.set(a, i);
+        }
+        texts.push([a, i]);
+      }
+    });
+    for (let [text1, i1] of texts) {
+      for (let [text2, i2] of texts) {
+        if (i1 != i2 && text1 != text2 && text2.startsWith(text1)) {
+          warn(paths[i1],
+               "command name " + quote(text1) + " is a prefix of "
+               + quote(text2) + " at " + paths[i2]);
+        }
+      }
+    }
+  }
+
+  if (! Array.isArray(grammar)) {
+    error("grammar", "expected an array of grammar entries");
+    return problems;
+  }
+
+  let soundEntries = [];
+  let soundPaths = [];
+
+  grammar.forEach(function(e, i) {
+    let leaves = leafPaths.length;
+
+    if (checkEntry(e, "grammar[" + i + "]")) {
+      soundEntries.push(e);
+      soundPaths.push(...leafPaths.slice(leaves));
+    }
+  });
+
+  let commands = flattenGrammar(soundEntries);
+
+  commands.forEach((c, i) => checkCommand(c, soundPaths[i]));
+  checkCommandNames(commands, soundPaths);
+  return problems;
+}
+
+// Return a <ParameterSpec> for each element of <parameters>, a list of
+// parameters from a grammar entry, each either a name or an array of a name, a
+// presentation type, and options.  Those named in <repeatable> may be repeated.
+function grammarParameterSpecs(parameters, repeatable=[]) {
+  return parameters === undefined
+    ? []
+    : parameters.map(function(p) {
+      let [name, type, options={}] = Array.isArray(p) ? p : [p];
+
+      return mps(name,
+                 type,
+                 null,
+                 { defaultValue: options.default,
+                   repeatable: repeatable.includes(name) });
+    });
+}
+
+// Return a parser for the commands in <grammar>.  If <fuzzy> is true, accept
+// abbreviations of command names.  If <ignoreCase> is true, ignore case in
+// command names, parameter names, and constants in parameter values, except
+// where a presentation type or <parseConstant> says otherwise.  Throw an error
+// that lists every error <checkGrammar> finds with <grammar>.  If <onWarning>
+// isn't null, call it on each warning it finds.
+function parseCommandFromGrammar(grammar, { fuzzy=false,
+                                            ignoreCase=false,
+                                            onWarning=null } = {}) {
+  let problems = checkGrammar(grammar);
+  let errors = problems.filter(p => ! p.warning);
+
+  if (onWarning) {
+    problems.filter(p => p.warning).forEach(p => onWarning(p));
+  }
+  if (errors.length > 0) {
+    throw new Error("Invalid grammar:\n" + errors.join("\n"));
+  }
+
+  let commands = flattenGrammar(grammar);
+  let parser = parseMemoizedChoice(
+      ...commands.map(function(c) {
         return parseCommand(c.name,
-                            normalize(c.positional),
-                            normalize(c.optional),
-                            normalize(c.preferred),
-                            normalize(c.required));
+                            grammarParameterSpecs(c.positional),
+                            grammarParameterSpecs(c.optional, c.repeatable),
+                            grammarParameterSpecs(c.preferred, c.repeatable),
+                            grammarParameterSpecs(c.required, c.repeatable),
+                            { aliases: c.aliases || [],
+                              flags: c.flags || [],
+                              fuzzy: fuzzy,
+                              optionalPositional:
+                                grammarParameterSpecs(c.optionalPositional),
+                              path: c.path || null,
+                              rest: c.rest
+                                ? grammarParameterSpecs([c.rest])[0]
+                                : null,
+                              validators: c.validators || [] });
       }));
+
+  return ignoreCase ? parseIgnoringCase(parser) : parser;
 }
 
-// Return the entry for <commandName> in <grammar>.
+// The flattened commands of each grammar passed to <findCommand>, so that
+// lookups during parsing don't flatten the grammar again.  A grammar
+// mustn't be modified after its first lookup.
+let flatGrammars = new WeakMap();
+
+// Return the entry for <commandName> in <grammar>.  See <flattenGrammar>.
 function findCommand(commandName, grammar) {
-  return grammar.find(c => c.name === commandName);
+  if (! flatGrammars.has(grammar)) {
+    flatGrammars.set(grammar, flattenGrammar(grammar));
+  }
+  return flatGrammars.get(grammar).find(c => c.name === commandName);
+}
+
+// Return canonical text for <command>, a command object like those the parser
+// for <grammar> returns, that parses as an equal object: the command's name,
+// its positional parameters in order, then its keyword parameters and flags
+// in the order <grammar> lists them, with each value written by its
+// presentation type's <unparse>.  Throw an error if <grammar> has no such
+// command or if some of <command>'s parameters can't be written.
+function unparseCommand(grammar, command) {
+  let entry = findCommand(command.name, grammar);
+
+  if (! entry) {
+    throw new Error("Unknown command \"" + command.name + "\".");
+  }
+
+  let parameters = command.parameters;
+  let words = [command.name];
+  let written = new Set();
+
+  function write(parameterSpec, values) {
+    for (let v of values) {
+      words.push(parameterSpec.type.unparse(v));
+    }
+    written.add(parameterSpec.name);
+  }
+
+  for (let ps of grammarParameterSpecs(entry.positional)) {
+    if (! (ps.name in parameters)) {
+      throw new Error("Missing parameter \"" + ps.name + "\".");
+    }
+    write(ps, [parameters[ps.name]]);
+  }
+  for (let ps of grammarParameterSpecs(entry.optionalPositional)) {
+    if (! (ps.name in parameters)) {
+      break;
+    }
+    write(ps, [parameters[ps.name]]);
+  }
+  if (entry.rest) {
+    let ps = grammarParameterSpecs([entry.rest])[0];
+
+    if (ps.name in parameters) {
+      write(ps, parameters[ps.name]);
+    }
+  }
+
+  for (let key of ["optional", "preferred", "required"]) {
+    for (let ps of grammarParameterSpecs(entry[key], entry.repeatable)) {
+      if (ps.name in parameters) {
+        let value = parameters[ps.name];
+
+        for (let v of ps.repeatable ? value : [value]) {
+          words.push(ps.name);
+          write(ps, [v]);
+        }
+      } else if (key != "optional") {
+        throw new Error("Missing parameter \"" + ps.name + "\".");
+      }
+    }
+  }
+  for (let f of entry.flags || []) {
+    if (parameters[f] === true) {
+      words.push(f);
+    }
+    written.add(f);
+  }
+
+  let unwritten = Object.keys(parameters).filter(k => ! written.has(k));
+
+  if (unwritten.length > 0) {
+    throw new Error("Can't write parameter \"" + unwritten[0] + "\".");
+  }
+  return words.join(" ");
+}
+
+// Scripts
+
+// Parse a semicolon, perhaps with whitespace on either side.
+let parseCommandSeparator = parseWithCompletions(
+  (context, failure, start) => failure && start == failure.end ? [";"] : [],
+  parseRestrictedRegexp(result => "separator", /\s*;\s*/));
+
+// Return a parser for scripts: one or more commands that <parseCommand>
+// accepts, separated by semicolons.  The witness is the array of the commands.
+// Text from the edit area never contains newlines, so they aren't separators
+// here.  See <splitScript>.
+function parseScript(parseCommand) {
+  return parseList(parseCommand,
+                   { min: 1, parseSeparator: parseCommandSeparator });
+}
+
+// Return the commands in <script>, a string, as objects with the <start> and
+// <end> of each command's text, without surrounding whitespace.  Commands are
+// separated by semicolons or newlines, except inside strings surrounded by
+// single or double quotes.  Skip empty commands.  Unlike <parseScript>, this
+// works even when some commands are invalid, so each command can be parsed,
+// and its errors reported, separately, and it accepts scripts with one command
+// per line, e.g. from files or the clipboard.
+function splitScript(script) {
+  let commands = [];
+  let quote = null;
+  let start = 0;
+
+  function add(end) {
+    let text = script.slice(start, end);
+    let leading = text.length - text.trimStart().length;
+    let trimmed = text.trim();
+
+    if (trimmed != "") {
+      commands.push({ end: start + leading + trimmed.length,
+                      start: start + leading });
+    }
+  }
+
+  for (let i = 0; i < script.length; i++) {
+    let c = script[i];
+
+    if (quote) {
+      if (c == "\\") {
+        i++;
+      } else if (c == quote) {
+        quote = null;
+      }
+    } else if (c == "\"" || c == "'") {
+      quote = c;
+    } else if (c == ";" || c == "\n") {
+      add(i);
+      start = i + 1;
+    }
+  }
+  add(script.length);
+  return commands;
+}
+
+// Grammars in JSON
+
+// The presentation types that JSON grammars may name, by name.  Add others,
+// e.g. types specific to an application, with <set>.  See <loadGrammar>.
+const PRESENTATION_TYPES = new Map([
+  ["date", DATE_TYPE],
+  ["datetime", DATETIME_TYPE],
+  ["integer", INTEGER_TYPE],
+  ["non-negative-integer", NON_NEGATIVE_INTEGER_TYPE],
+  ["number", NUMBER_TYPE],
+  ["percentage", PERCENTAGE_TYPE],
+  ["quoted-string", QUOTED_STRING_TYPE],
+  ["string", STRING_TYPE],
+  ["time", TIME_TYPE],
+  ["time-range", TIME_RANGE_TYPE],
+  ["yes-no", YES_NO_TYPE]]);
+
+// Return the grammar described by <json>, a JSON string or the value it
+// encodes, with each parameter's type replaced by a presentation type so that
+// <parseCommandFromGrammar> can use it.  A type is either a name in <types>,
+// e.g. "integer", or an object describing an enumeration, with an <enum>
+// property listing its entries, each either a name or an object like those
+// <makeEnumType> takes, and optional <help>, <fuzzy>, and <ignoreCase>
+// properties.  Throw an error that lists every type that can't be resolved,
+// with its path in the grammar.
+function loadGrammar(json, types=PRESENTATION_TYPES) {
+  let problems = [];
+
+  function resolveType(type, path) {
+    if (typeof type === "string") {
+      if (! types.has(type)) {
+        let closest = [...types.keys()].find(k => editDistance(k, type) <= 2);
+
+        problems.push(
+          new GrammarProblem(
+            path,
+            "unknown type \"" + type + "\""
+              + (closest ? "; did you mean \"" + closest + "\"?" : "")));
+      }
+      return types.get(type);
+    }
+    if (type instanceof Object && Array.isArray(type.enum)) {
+      return makeEnumType(
+        type.enum.map(e => typeof e === "string" ? { name: e } : e),
+        type.help || "one of " + type.enum.map(
+          e => typeof e === "string" ? e : e.name).join(", "),
+        { fuzzy: type.fuzzy || false,
+          ignoreCase: "ignoreCase" in type ? type.ignoreCase : null });
+    }
+    problems.push(
+      new GrammarProblem(path, "expected a type name or an enum"));
+    return undefined;
+  }
+
+  function loadParameter(parameter, path) {
+    if (! Array.isArray(parameter) || parameter.length < 2) {
+      return parameter;
+    }
+
+    let [name, type, ...options] = parameter;
+
+    return [name, resolveType(type, path + "[1]"), ...options];
+  }
+
+  function loadEntry(entry, path) {
+    if (! (entry instanceof Object)) {
+      return entry;
+    }
+
+    let result = Object.assign({}, entry);
+
+    for (let key of ["optional", "optionalPositional", "positional",
+                     "preferred", "required"]) {
+      if (Array.isArray(entry[key])) {
+        result[key] = entry[key].map(
+          (p, i) => loadParameter(p, path + "." + key + "[" + i + "]"));
+      }
+    }
+    if ("rest" in entry) {
+      result.rest = loadParameter(entry.rest, path + ".rest");
+    }
+    if (Array.isArray(entry.subcommands)) {
+      result.subcommands = entry.subcommands.map(
+        (e, i) => loadEntry(e, path + ".subcommands[" + i + "]"));
+    }
+    return result;
+  }
+
+  let grammar = typeof json === "string" ? JSON.parse(json) : json;
+  let result = Array.isArray(grammar)
+      ? grammar.map((e, i) => loadEntry(e, "grammar[" + i + "]"))
+      : grammar;
+
+  if (problems.length > 0) {
+    throw new Error("Invalid grammar:\n" + problems.join("\n"));
+  }
+  return result;
 }
 
 // Return true iff <position> is in a parameter value.
@@ -14,6 +14,10 @@ function editArea() {
   return commandArea();
 }
 
+function failureMessageArea() {
+  return commandArea().getElementsByClassName("failure-message")[0];
+}
+
 function commandTextDivided() {
   let accumulator = [];
   let before = true;
@@ -23,7 +27,7 @@ function commandTextDivided() {
   function descend(node) {
     switch (node.nodeType) {
     case Node.ELEMENT_NODE:
-      if (node.tagName == "UL") {
+      if (node.contentEditable == "false") {
         return 0;
       } else {
         let sizes = Array.from(node.childNodes).map(descend);
@@ -72,12 +76,52 @@ function removeCompletions() {
   }
 }
 
-function chooseCompletion(choice) {
+function removeFailureMessage() {
+  let fma = failureMessageArea();
+
+  if (fma) {
+    fma.parentNode.removeChild(fma);
+  }
+}
+
+// Show <failure>'s explanation of what was expected next to the caret.
+function showFailureMessage(failure) {
+  showMessage(failure.message());
+}
+
+// Show <text> next to the caret, e.g. to explain why a command can't be
+// finished.
+function showMessage(text) {
+  let focus = window.getSelection().focusNode;
+  let parent = focus && focus.nodeType == Node.TEXT_NODE
+      ? focus.parentNode
+      : editArea();
+  let message = document.createElement("span");
+
+  removeFailureMessage();
+  message.contentEditable = false;
+  message.classList.add("failure-message");
+  message.textContent = text;
+  parent.insertBefore(message, null);
+}
+
+// Return a function that inserts <choice> at the end of the command.  If
+// <replacement> is supplied, instead replace the text from its <start> to its
+// <end> with <choice>.
+function chooseCompletion(choice, replacement=null) {
   return function() {
     let ea = editArea();
 
     removeCompletions();
-    ea.innerHTML += choice;
+    if (replacement) {
+      let text = commandText();
+
+      ea.textContent = text.slice(0, replacement.start)
+        + choice
+        + text.slice(replacement.end);
+    } else {
+      ea.innerHTML += choice;
+    }
     ea.focus();
     moveCaretToEnd(ea);
   };
@@ -157,13 +201,81 @@ function filterCompletions(parser) {
   };
 }
 
+// Return the annotations of all of <successes> and of <failure>.
+function allAnnotations(successes, failure) {
+  return mergeAnnotations(mergeSuccessAnnotations(successes),
+                          failure ? failure.annotations : []);
+}
+
+// Group the "canonical" annotations in <annotations>, e.g. from
+// <parseFuzzyChoice>, by the text they cover.  Return an array of objects, each
+// with the <start> and <end> of that text, the canonical <texts> that could
+// replace it, best first, and whether it is <unique>, i.e. whether exactly one
+// canonical text ranks best, even among candidates whose annotations aren't in
+// <annotations>.
+function canonicalSpans(annotations) {
+  let canonical = annotations.filter(a => a.label.tag === "canonical");
+  let groups = groupBy(canonical, a => a.start + "-" + a.end);
+
+  return Object.keys(groups).map(function(k) {
+    let group = groups[k].slice().sort(numberComparator(a => -a.label.score));
+    let texts = Array.from(new Set(group.map(a => a.label.text)));
+
+    return { end: group[0].end,
+             start: group[0].start,
+             texts: texts,
+             unique: texts.length == 1
+               && group.every(a => a.label.unique !== false) };
+  });
+}
+
+// Return <text>, but with each part that was matched loosely, e.g. by
+// <parseFuzzyChoice>, and that ends no later than <limit> replaced by its
+// canonical text.  Parts that differ from their canonical text only in case,
+// e.g. when matched by <parseConstant> while ignoring case, are replaced
+// wherever they end.  Leave parts that could have more than one canonical text
+// alone, and parts that are exact prefixes of their canonical text, e.g.
+// "Launch" for "Launch Rocket", since the user may be typing it in full.
+function canonicalize(processor, text, limit) {
+  let [successes, failure] = parseCommandText(processor, text);
+  let spans = canonicalSpans(allAnnotations(successes, failure));
+  let unambiguous = spans.filter(
+    s1 => (s1.end <= limit || s1.texts[0].length == s1.end - s1.start)
+      && s1.unique
+      && ! s1.texts[0].startsWith(text.slice(s1.start, s1.end))
+      && spans.every(
+        s2 => s2 == s1 || s2.end <= s1.start || s2.start >= s1.end));
+
+  unambiguous.sort(numberComparator(s => -s.start));
+  for (let s of unambiguous) {
+    text = text.slice(0, s.start) + s.texts[0] + text.slice(s.end);
+  }
+  return text;
+}
+
 // Find the longest possible completion of the input, stopping as soon as there
 // is no unique completion or a complete input is reached that is longer than
 // the original input.  If more than one completion is possible, display them.
+// If the text just before the caret was matched loosely, e.g. by
+// <parseFuzzyChoice>, first replace it with its canonical text, or, if there is
+// more than one candidate, display them instead.
 function complete(processor) {
   let parse = processor.parse;
   let [before, after] = commandTextDivided();
   let [successes, failure] = parse(before, Success.initial(processor.context));
+  let replacement = canonicalSpans(allAnnotations(successes, failure))
+      .filter(s => s.end == before.length && (s.unique || s.texts.length > 1))
+      .sort(numberComparator(s => s.start))[0];
+
+  if (replacement && replacement.texts.length > 1) {
+    showCommand(processor, before, after, true, replacement);
+    return;
+  }
+  if (replacement) {
+    before = before.slice(0, replacement.start) + replacement.texts[0];
+    [successes, failure] = parse(before, Success.initial(processor.context));
+    showCommand(processor, before, after, false);
+  }
 
   if (! failure || failure.end < before.length) {
     return;
@@ -235,7 +347,12 @@ function numberComparator(key) {
   };
 }
 
-function showCommand(processor, before, after, showCompletions) {
+// Show the command text <before> and <after> the caret, highlighting its
+// parts.  If <showCompletions> is true, pop up the completions at the caret,
+// or, if <replacement> is supplied, its <texts>, each of which would replace
+// the text from its <start> to its <end>.
+function showCommand(processor, before, after, showCompletions,
+                     replacement=null) {
   function makeSpan(tag, chunk) {
     let span = document.createElement("span");
 
@@ -247,7 +364,6 @@ function showCommand(processor, before, after, showCompletions) {
   }
 
   function makeCompletionSpan(tag, chunk, prefix, completions) {
-    let count = completions.length;
     let span = makeSpan(tag, chunk);
     let ul = document.createElement("ul");
 
@@ -258,8 +374,14 @@ function showCommand(processor, before, after, showCompletions) {
       let li = document.createElement("li");
       let content = prefix.concat(c);
 
+      li.dataset.completion = content;
       li.textContent = content;
-      li.addEventListener("click", chooseCompletion(c));
+      if (descriptions.has(content)) {
+        li.insertBefore(makeSpan("completion-description",
+                                 descriptions.get(content).join("; ")),
+                        null);
+      }
+      li.addEventListener("click", chooseCompletion(c, replacement));
       ul.insertBefore(li, null);
     }
     return span;
@@ -279,7 +401,7 @@ function showCommand(processor, before, after, showCompletions) {
 
     for (let a of representatives) {
       if (i > a.start) {
-        break;
+        continue;
       }
       if (i < a.start) {
         accumulator.push({ tag: null, start: i, end: a.start });
@@ -293,13 +415,28 @@ function showCommand(processor, before, after, showCompletions) {
 
   let [successes, failure] =
       processor.parse(before, Success.initial(processor.context));
-  let completions = failure ? failure.completions : [];
+  let completions = replacement ? replacement.texts
+      : failure ? failure.completions
+      : [];
+  let completionsEnd = replacement ? replacement.start : failure && failure.end;
   let count = completions.length;
   let text = before + after;
   let position = before.length;
-  let tags = new Set(["command-name", "parameter-name", "parameter-value"]);
+  let tags = new Set(
+    ["command-name", "flag", "parameter-name", "parameter-value"]);
   let annotations = partialAnnotations(successes, failure);
   let filtered = annotations.filter(a => tags.has(a.label.tag));
+  let errors = annotations.filter(a => a.label.tag === "error");
+  let descriptions = new Map();
+
+  for (let a of annotations.filter(a => a.label.tag === "description")) {
+    let known = descriptions.get(a.label.text) || [];
+
+    if (! known.includes(a.label.description)) {
+      descriptions.set(a.label.text, [...known, a.label.description]);
+    }
+  }
+
   let ea = editArea();
 
   ea.innerHTML = "";
@@ -314,10 +451,15 @@ function showCommand(processor, before, after, showCompletions) {
         (showCompletions && count > 0 && s == popup)
         ? makeCompletionSpan(s.tag,
                              chunk,
-                             text.slice(s.start, failure.end),
-                             failure.completions)
+                             text.slice(s.start, completionsEnd),
+                             completions)
         : makeSpan(s.tag, chunk);
+    let spanErrors = errors.filter(e => e.start < s.end && s.start < e.end);
 
+    if (spanErrors.length > 0) {
+      span.classList.add("error");
+      span.title = validationErrors(spanErrors).join("; ");
+    }
     ea.insertBefore(span, null);
     if (s.start < position && position <= s.end) {
       let range = document.createRange();
@@ -330,12 +472,52 @@ function showCommand(processor, before, after, showCompletions) {
       selection.addRange(range);
     }
   }
+  showHelp(helpText(annotations, position));
 }
 
 function parseCommandText(processor, text) {
   return processor.parse(text, Success.initial(processor.context));
 }
 
+// Return the text of the innermost help annotation in <annotations> that
+// contains <position>, or null if there is none.
+function helpText(annotations, position) {
+  let containing = annotations.filter(
+    a => a.label.tag === "help" && a.start <= position && position <= a.end);
+
+  if (containing.length == 0) {
+    return null;
+  }
+
+  let innermost = containing.reduce(
+    (a1, a2) => (a2.start > a1.start
+                 || (a2.start == a1.start && a2.end < a1.end))
+      ? a2
+      : a1);
+
+  return innermost.label.helpText;
+}
+
+// Show <text> on the help line of the command area, or hide the help line if
+// <text> is null.  See "command.css".
+function showHelp(text) {
+  let ca = commandArea();
+
+  if (text) {
+    ca.dataset.help = text;
+  } else {
+    delete ca.dataset.help;
+  }
+}
+
+// Show the help for the part of the command that contains the caret.
+function showHelpAtCaret(processor) {
+  let [before, after] = commandTextDivided();
+  let [successes, failure] = parseCommandText(processor, before);
+
+  showHelp(helpText(partialAnnotations(successes, failure), before.length));
+}
+
 function insertCharacter(event, processor) {
   let [before, after] = commandTextDivided();
 
@@ -346,24 +528,30 @@ function insertCharacter(event, processor) {
 
     if (furthestSuccess(successes) < fullLength
         && (! failure || failure.end < fullLength)) {
-      return [false, false];
+      return [false, false, failure];
     }
-    showCommand(processor, before + proposed, after, false);
+    showCommand(processor,
+                canonicalize(processor, fullText, fullLength - 1),
+                after,
+                false);
 
     let valid = validParses(fullLength, successes);
 
-    return [true, valid.length > 0];
+    return [true, valid.length > 0, failure];
   }
 
   event.preventDefault();
   event.stopPropagation();
 
-  let [progress, valid] = check(event.key);
+  let [progress, valid, failure] = check(event.key);
 
   if (progress) {
     return valid;
   }
   [progress, valid] = check(toOtherCase(event.key));
+  if (! progress && failure) {
+    showFailureMessage(failure);
+  }
   return valid;
 }
 
@@ -388,9 +576,9 @@ function selectCompletion(item, processor) {
   let candidate = ca.previousSibling;
 
   if (candidate) {
-    ca.parentNode.replaceChild(new Text(item.textContent), candidate);
+    ca.parentNode.replaceChild(new Text(item.dataset.completion), candidate);
   } else {
-    ca.parentNode.insertBefore(new Text(item.textContent), ca);
+    ca.parentNode.insertBefore(new Text(item.dataset.completion), ca);
   }
   item.classList.add("selected-completion");
   moveCaretToEnd(editArea());
@@ -426,8 +614,108 @@ let selectNextCompletion = moveCompletionSelection(
 let selectPreviousCompletion = moveCompletionSelection(
   n => n.previousSibling, -1);
 
+// Show <text>, e.g. from history, as the command, with the caret at its end.
+// If <isEntry> is true and <text> doesn't parse, e.g. because it was entered
+// before the grammar changed, explain why.
+function showRecalledCommand(processor, text, isEntry=true) {
+  let [successes, failure] = parseCommandText(processor, text);
+
+  removeCompletions();
+  removeFailureMessage();
+  showCommand(processor, text, "", false);
+  moveCaretToEnd(editArea());
+  if (isEntry && validParses(text.length, successes).length == 0) {
+    showMessage("no longer valid: "
+                + (failure ? failure.message() : "unexpected input"));
+  }
+}
+
+// Replace the command with the entry <offset> entries away, e.g. -1 for the
+// previous one, from the one being recalled from <processor>'s history, or,
+// past the most recent entry, with the text that was being edited before
+// recall began.
+function recallHistory(processor, offset) {
+  let history = processor.history;
+  let entries = history.entries();
+  let position = history.position === null ? entries.length : history.position;
+  let next = Math.max(0, Math.min(entries.length, position + offset));
+
+  if (next == position) {
+    return;
+  }
+  if (history.position === null) {
+    history.draft = commandText();
+  }
+  history.position = next == entries.length ? null : next;
+  if (next == entries.length) {
+    showRecalledCommand(processor, history.draft, false);
+  } else {
+    showRecalledCommand(processor, entries[next]);
+  }
+}
+
+// Search <processor>'s history backward, starting with the entry at <start>,
+// for the most recent entry that contains the query of the search in
+// progress, and show it.  Show the query on the help line, noting when nothing
+// matches.
+function searchHistory(processor, start) {
+  let history = processor.history;
+  let search = history.search;
+  let entries = history.entries();
+  let i = Math.min(start, entries.length - 1);
+
+  while (i >= 0 && ! entries[i].includes(search.query)) {
+    i--;
+  }
+  if (i >= 0) {
+    search.position = i;
+    showRecalledCommand(processor, entries[i]);
+  }
+  showHelp((i >= 0 ? "" : "failing ")
+           + "reverse search: " + search.query);
+}
+
+// Handle <event> during reverse incremental search: C-r finds the next older
+// match, <Backspace> shortens the query, <Escape> or C-g abandons the search
+// and restores the command that was being edited, and <Enter> keeps the match
+// for editing.  Other keys end the search, keeping the match, and then have
+// their usual effects.  Printable characters extend the query.  Return true
+// iff <event> has been handled.
+function handleSearchKey(event, processor) {
+  let history = processor.history;
+  let search = history.search;
+  let key = event.key;
+
+  if (key == "r" && event.ctrlKey) { // C-r
+    searchHistory(processor, search.position - 1);
+  } else if (key == "Backspace") {
+    search.query = search.query.slice(0, -1);
+    searchHistory(processor, history.entries().length - 1);
+  } else if (key == "Escape" || (key == "g" && event.ctrlKey)) { // C-g
+    history.search = null;
+    showRecalledCommand(processor, history.draft, false);
+  } else if (key == "Enter") {
+    history.search = null;
+    showHelpAtCaret(processor);
+  } else if (key.length == 1 && ! anyModifiers(event)) {
+    search.query += key;
+    searchHistory(processor, search.position);
+  } else {
+    history.search = null;
+    return false;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+  return true;
+}
+
 function makeKeyDownHandler(processor) {
   return function(event) {
+    let history = processor.history;
+
+    if (history.search !== null && handleSearchKey(event, processor)) {
+      return;
+    }
     if (event.key == " " && event.metaKey) { // M-SPC
       insertCharacter(event, processor);
     } else if (event.key == "Tab" ||
@@ -435,13 +723,34 @@ function makeKeyDownHandler(processor) {
       complete(processor);
       event.preventDefault();
       event.stopPropagation();
+    } else if (event.key == "r" && event.ctrlKey) { // C-r
+      removeCompletions();
+      history.draft = commandText();
+      history.search = { position: history.entries().length, query: "" };
+      showHelp("reverse search: ");
+      event.preventDefault();
+      event.stopPropagation();
+    } else if ((event.key == "p" || event.key == "n")
+               && (event.altKey || event.metaKey)) { // M-p, M-n
+      removeCompletions();
+      recallHistory(processor, event.key == "p" ? -1 : 1);
+      event.preventDefault();
+      event.stopPropagation();
     } else if (! anyModifiers(event)) {
       if (event.key == "ArrowDown") {
-        selectNextCompletion(processor);
+        if (completionsArea()) {
+          selectNextCompletion(processor);
+        } else {
+          recallHistory(processor, 1);
+        }
         event.preventDefault();
         event.stopPropagation();
       } else if (event.key == "ArrowUp") {
-        selectPreviousCompletion(processor);
+        if (completionsArea()) {
+          selectPreviousCompletion(processor);
+        } else {
+          recallHistory(processor, -1);
+        }
         event.preventDefault();
         event.stopPropagation();
       }
@@ -460,26 +769,147 @@ function makeDocumentKeysHandler(processor) {
       event.stopPropagation();
     } else if (event.key == "Escape") { // ESC
       removeCompletions();
+      removeFailureMessage();
+      showHelp(null);
       editArea().blur();
     }
   };
 }
 
+// As the caret moves, e.g. using the arrow keys or the mouse, keep the help
+// line up to date.
+function makeSelectionChangeHandler(processor) {
+  return function(event) {
+    let focus = window.getSelection().focusNode;
+
+    if (focus
+        && editArea().contains(focus)
+        && processor.history.search === null) {
+      showHelpAtCaret(processor);
+    }
+  };
+}
+
+// Insert pasted text at the caret as plain text, rewriting each part that was
+// matched loosely, e.g. in the wrong case, as its canonical text.
+function makePasteHandler(processor) {
+  return function(event) {
+    let [before, after] = commandTextDivided();
+    let pasted = event.clipboardData.getData("text/plain");
+    let fullText = before + normalizeWhitespace(
+      processor.script
+        ? splitScript(pasted).map(c => pasted.slice(c.start, c.end)).join("; ")
+        : pasted);
+
+    event.preventDefault();
+    event.stopPropagation();
+    removeCompletions();
+    removeFailureMessage();
+    showCommand(processor,
+                canonicalize(processor, fullText, fullText.length),
+                after,
+                false);
+  };
+}
+
+// Parse and finish each command in <script>, a string, in order.  Unless
+// <stopOnError> is false, stop at the first command that isn't valid or whose
+// <finish> throws an exception.  Return the commands that weren't finished as
+// objects with their <text>, their <number> in <script>, counting from one,
+// and a <message> explaining why, or null for those that weren't tried.
+// Columns in messages count from the start of <script>.
+function runScript(processor, script, stopOnError=processor.stopOnError) {
+  let remaining = [];
+
+  for (let [i, { start, end }] of splitScript(script).entries()) {
+    let text = script.slice(start, end);
+
+    if (stopOnError && remaining.length > 0) {
+      remaining.push({ message: null, number: i + 1, text: text });
+      continue;
+    }
+
+    let [successes, failure] =
+        processor.parseOne(text, Success.initial(processor.context));
+    let valid = validParses(text.length, successes);
+    let accepted = valid.filter(
+      s => validationErrors(s.annotations).length == 0);
+
+    if (accepted.length > 0) {
+      try {
+        processor.finish(accepted[0].witness);
+      } catch (error) {
+        remaining.push({ message: error.message, number: i + 1, text: text });
+      }
+      forgetMemoizedParses(processor.context);
+    } else if (valid.length > 0) {
+      remaining.push(
+        { message: validationErrors(valid[0].annotations).join("; "),
+          number: i + 1,
+          text: text });
+    } else {
+      remaining.push(
+        { message: failure ? failure.message(start) : "unexpected input",
+          number: i + 1,
+          text: text });
+    }
+  }
+  return remaining;
+}
+
+// Run <text> as a script.  If every command in it was finished, add it to the
+// history.  Otherwise, leave the commands that weren't finished in the edit
+// area and explain why they weren't.
+function finishScript(processor, text) {
+  let remaining = runScript(processor, text);
+
+  if (remaining.length == 0) {
+    processor.history.add(text);
+    return;
+  }
+
+  let messages = remaining
+      .map(r => r.message === null
+           ? null
+           : `command ${r.number}: ${r.message}`)
+      .filter(m => m !== null);
+
+  showCommand(processor, remaining.map(r => r.text).join("; "), "", false);
+  moveCaretToEnd(editArea());
+  showMessage(messages.join("; "));
+}
+
 function makeKeyPressHandler(processor) {
   return function(event) {
     removeCompletions();
+    removeFailureMessage();
+    processor.history.position = null;
 
     switch (event.key) {
     case "Enter":
       let text = commandText();
-      let [successes, failure] = parseCommandText(processor, text);
-      let valid = validParses(text.length, successes);
 
-      if (valid.length > 0) {
-        processor.finish(valid[0].witness);
-      }
       event.preventDefault();
       event.stopPropagation();
+      if (processor.script) {
+        finishScript(processor, text);
+        break;
+      }
+
+      let [successes, failure] = parseCommandText(processor, text);
+      let valid = validParses(text.length, successes);
+      let accepted = valid.filter(
+        s => validationErrors(s.annotations).length == 0);
+
+      if (accepted.length > 0) {
+        processor.history.add(text);
+        processor.finish(accepted[0].witness);
+        forgetMemoizedParses(processor.context);
+      } else if (valid.length > 0) {
+        showMessage(validationErrors(valid[0].annotations).join("; "));
+      } else if (failure) {
+        showFailureMessage(failure);
+      }
       break;
     case " ":
       if (! insertCharacter(event, processor)) {
@@ -542,12 +972,82 @@ function defaultFailureHandler(request, retry) {
   return retry;
 }
 
+// The commands entered with a processor, oldest first, kept in <localStorage>
+// under <key>.  Only the most recent <size> are kept, and entering a command
+// again moves it to the end.  While entries are being recalled, <position> is
+// the index of the one shown, and <draft> is the text that was being edited
+// before recall began.  During reverse incremental search, <search> holds the
+// <query> and the <position> of the entry that matched it.  If <localStorage>
+// is unavailable, full, or holds something other than a list under <key>,
+// behave as if the history were empty, and don't keep new entries.
+class CommandHistory {
+  constructor(key="command-history", size=100) {
+    this.draft = "";
+    this.key = key;
+    this.position = null;
+    this.search = null;
+    this.size = size;
+  }
+
+  entries() {
+    let stored;
+
+    try {
+      stored = JSON.parse(window.localStorage.getItem(this.key));
+    } catch (error) {
+      return [];
+    }
+    return Array.isArray(stored) ? stored : [];
+  }
+
+  add(text) {
+    let entries = [...this.entries().filter(e => e != text), text];
+
+    this.position = null;
+    try {
+      window.localStorage.setItem(this.key,
+                                  JSON.stringify(entries.slice(-this.size)));
+    } catch (error) {
+      // Keep the history as it was.
+    }
+  }
+}
+
+// True once a <CommandProcessor> has been constructed without a <historyKey>.
+let defaultHistoryKeyTaken = false;
+
+// Each processor keeps its own history of the commands entered with it, under
+// <historyKey> in <localStorage>, up to <historySize> commands.  Only one
+// processor on a page may leave <historyKey> out and use the default,
+// "command-history", so that no two share a history by accident.  See
+// <CommandHistory>.
+// If <script> is true, accept several commands separated by semicolons, and
+// run them in order when Enter is pressed.  See <runScript>.
 class CommandProcessor {
-  constructor(context, finish, parse, partial) {
+  constructor(context, finish, parse, partial,
+              { historyKey=null,
+                historySize=100,
+                script=false,
+                stopOnError=true } = {}) {
+    let parseOne = parseMemoized(parse);
+
+    if (historyKey === null) {
+      if (defaultHistoryKeyTaken) {
+        throw new Error("Pass a historyKey to each CommandProcessor after the "
+                        + "first, so that each keeps its own history.");
+      }
+      defaultHistoryKeyTaken = true;
+    }
     this.context = context;
     this.finish = finish;
-    this.parse = filterCompletions(parse);
+    this.history = new CommandHistory(
+      historyKey === null ? "command-history" : historyKey, historySize);
+    this.parse = filterCompletions(
+      script ? parseMemoized(parseScript(parseOne)) : parseOne);
+    this.parseOne = parseOne;
     this.partial = partial;
+    this.script = script;
+    this.stopOnError = stopOnError;
   }
 }
 
@@ -556,8 +1056,12 @@ function initializeCommandHandlers(processor) {
   let handleDocumentKeys = makeDocumentKeysHandler(processor);
   let handleKeyDown = makeKeyDownHandler(processor);
   let handleKeyPress = makeKeyPressHandler(processor);
+  let handlePaste = makePasteHandler(processor);
+  let handleSelectionChange = makeSelectionChangeHandler(processor);
 
   document.addEventListener("keydown", handleDocumentKeys, false);
+  document.addEventListener("selectionchange", handleSelectionChange, false);
   ea.addEventListener("keydown", handleKeyDown, false);
   ea.addEventListener("keypress", handleKeyPress, false);
+  ea.addEventListener("paste", handlePaste, false);
 }
\ No newline at end of file
@@ -20,6 +20,7 @@ let DefaultsMixin = Base => class extends Base {
   isKeyParameterValue(keyParameter) {
     return function(annotation) {
       return annotation.label.tag === "parameter-value"
+        && ! annotation.label.element
         && annotation.label.name === keyParameter;
     };
   }
@@ -87,6 +88,7 @@ let DefaultsMixin = Base => class extends Base {
 
   rememberId(id, value) {
     this.defaultsCache[id] = { received: new Date().getTime(), value: value };
+    forgetMemoizedParses(this);
   }
 
   // Convert <keyValue> witness into a list of IDs.  Normally, the witness is
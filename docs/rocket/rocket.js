@@ -2,15 +2,23 @@
 // Copyright (C) MMXVIII Arthur A. Gleckler.
 // GNU LGPL v3.  See "LICENSE.txt" and "COPYING.LESSER".
 
-const ORBIT_NAMES = [{name: "geosynchronous", class: "geosynchronous"},
-                     {name: "high earth orbit", class: "heo"},
-                     {name: "low earth orbit", class: "leo"},
-                     {name: "medium earth orbit", class: "meo"}];
-
-let parseOrbit =
-    parseChoice(...ORBIT_NAMES.map(ot => parseConstant(ot.name, ot.class)));
-
-const ORBIT_TYPE = mpt(parseOrbit, "type of orbit");
+const ORBIT_TYPE = makeEnumType(
+  [{ name: "geosynchronous",
+     aliases: ["geo"],
+     description: "one orbit per day" },
+   { name: "high earth orbit",
+     witness: "heo",
+     aliases: ["heo"],
+     description: "above geosynchronous" },
+   { name: "low earth orbit",
+     witness: "leo",
+     aliases: ["leo"],
+     description: "below 2,000 km" },
+   { name: "medium earth orbit",
+     witness: "meo",
+     aliases: ["meo"],
+     description: "between low earth and geosynchronous" }],
+  "type of orbit");
 
 function selectorToNames(selector) {
   return Array.from(document.querySelectorAll(selector)).map(n => n.id);
@@ -83,7 +91,7 @@ let ROCKET_GRAMMAR = [
     positional: [["name", LAUNCHED_ROCKET_TYPE]] },
   { name: "Launch Rocket",
     positional: [["name", FUELED_ROCKET_TYPE]],
-    optional:   [["orbit", ORBIT_TYPE]] }
+    optional:   [["orbit", ORBIT_TYPE, { default: "geosynchronous" }]] }
 ];
 
 function handlePartialRocketCommand(annotations, position) {
@@ -128,10 +136,7 @@ function handleCompleteRocketCommand(command) {
   } else if (command.name == "Land Rocket") {
     landRocket(parameters.name);
   } else if (command.name == "Launch Rocket") {
-    launchRocket(parameters.name,
-                 "orbit" in parameters
-                 ? parameters.orbit
-                 : "geosynchronous");
+    launchRocket(parameters.name, parameters.orbit);
   }
 }
 
@@ -140,6 +145,6 @@ function initializeRocket() {
     new CommandProcessor(
       new CommandContext(),
       handleCompleteRocketCommand,
-      parseCommandFromGrammar(ROCKET_GRAMMAR),
+      parseCommandFromGrammar(ROCKET_GRAMMAR, { ignoreCase: true }),
       handlePartialRocketCommand));
 }
\ No newline at end of file